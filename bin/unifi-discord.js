@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+// Keep stdout for command output and only show service logs when asked.
+// Service loggers are created as their modules load, so set this up first.
+process.env.LOG_STDERR = "true";
+process.env.LOG_LEVEL = process.argv.includes("--verbose") ? "debug" : "error";
+
+const { run } = require("../src/cli");
+
+run(process.argv.slice(2)).then((exitCode) => {
+  process.exitCode = exitCode;
+});
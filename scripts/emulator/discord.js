@@ -0,0 +1,178 @@
+const fs = require("fs");
+const express = require("express");
+
+/**
+ * Fake Discord webhook receiver for development and tests
+ *
+ * Accepts webhook posts and message edits, JSON or multipart with
+ * attachments, and records each one. GET /messages lists the recorded
+ * requests and DELETE /messages clears them.
+ *
+ * @param {Object} options - Receiver options
+ * @param {string} options.recordFile - Also append each request to this
+ *   file as a JSON line
+ * @param {winston.Logger} options.logger - Logger for requests
+ * @returns {express.Application} App to listen with; the recorded requests
+ *   are in app.locals.messages
+ */
+function createDiscordReceiver(options = {}) {
+  const logger = options.logger;
+  const messages = [];
+  let nextId = 1;
+
+  const app = express();
+  app.locals.messages = messages;
+  app.use(express.json({ limit: "1mb" }));
+  app.use(express.raw({ type: "multipart/form-data", limit: "50mb" }));
+
+  const record = (req, messageId) => {
+    const { payload, files } = readBody(req);
+    const entry = {
+      method: req.method,
+      webhookId: req.params.webhookId,
+      messageId,
+      query: req.query,
+      payload,
+      files,
+      receivedAt: new Date().toISOString(),
+    };
+
+    messages.push(entry);
+    if (options.recordFile) {
+      fs.appendFileSync(options.recordFile, `${JSON.stringify(entry)}\n`);
+    }
+
+    logger?.info("Discord webhook request", {
+      method: entry.method,
+      webhookId: entry.webhookId,
+      messageId,
+      content: payload.content,
+      embeds: (payload.embeds || []).length,
+      files: files.map((file) => `${file.filename} (${file.size} bytes)`),
+    });
+
+    return toMessage(entry);
+  };
+
+  app.post("/api/webhooks/:webhookId/:token", (req, res) => {
+    const message = record(req, String(nextId++));
+
+    // Without wait Discord answers 204 and returns no message
+    if (req.query.wait !== "true") {
+      return res.status(204).end();
+    }
+
+    res.json(message);
+  });
+
+  app.patch(
+    "/api/webhooks/:webhookId/:token/messages/:messageId",
+    (req, res) => {
+      res.json(record(req, req.params.messageId));
+    }
+  );
+
+  app.get("/messages", (req, res) => {
+    res.json(messages);
+  });
+
+  app.delete("/messages", (req, res) => {
+    messages.length = 0;
+    res.status(204).end();
+  });
+
+  app.use((req, res) => {
+    res.status(404).json({ message: "Unknown Webhook", code: 10015 });
+  });
+
+  return app;
+}
+
+/**
+ * Get the message payload and attachments of a JSON or multipart request
+ * @param {Object} req - Express request
+ * @returns {Object} Payload and files with name, filename, content type and
+ *   size
+ */
+function readBody(req) {
+  if (!Buffer.isBuffer(req.body)) {
+    return { payload: req.body || {}, files: [] };
+  }
+
+  const boundary = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(
+    req.get("Content-Type")
+  );
+  const parts = boundary
+    ? parseMultipart(req.body, boundary[1] || boundary[2])
+    : [];
+  const json = parts.find((part) => part.name === "payload_json");
+
+  return {
+    payload: json ? JSON.parse(json.data.toString("utf8")) : {},
+    files: parts
+      .filter((part) => part.filename)
+      .map((part) => ({
+        name: part.name,
+        filename: part.filename,
+        contentType: part.contentType,
+        size: part.data.length,
+      })),
+  };
+}
+
+/**
+ * Split a multipart/form-data body into its parts
+ * @param {Buffer} body - Raw request body
+ * @param {string} boundary - Boundary from the Content-Type header
+ * @returns {Array<Object>} Parts with name, filename, content type and data
+ */
+function parseMultipart(body, boundary) {
+  const delimiter = Buffer.from(`--${boundary}`);
+  const parts = [];
+  let start = body.indexOf(delimiter);
+
+  while (start !== -1) {
+    const next = body.indexOf(delimiter, start + delimiter.length);
+    if (next === -1) break;
+
+    // Each part is CRLF, headers, a blank line, data, CRLF
+    const part = body.subarray(start + delimiter.length + 2, next - 2);
+    const headerEnd = part.indexOf("\r\n\r\n");
+    const headers = part.subarray(0, headerEnd).toString("utf8");
+
+    parts.push({
+      name: /name="([^"]*)"/i.exec(headers)?.[1],
+      filename: /filename="([^"]*)"/i.exec(headers)?.[1] || null,
+      contentType: /content-type:\s*([^\r\n]+)/i.exec(headers)?.[1] || null,
+      data: part.subarray(headerEnd + 4),
+    });
+
+    start = next;
+  }
+
+  return parts;
+}
+
+/**
+ * Build the message object Discord returns for a webhook post
+ */
+function toMessage(entry) {
+  return {
+    id: entry.messageId,
+    type: 0,
+    channel_id: "1",
+    webhook_id: entry.webhookId,
+    content: entry.payload.content || "",
+    embeds: entry.payload.embeds || [],
+    components: entry.payload.components || [],
+    attachments: entry.files.map((file, index) => ({
+      id: String(index),
+      filename: file.filename,
+      content_type: file.contentType,
+      size: file.size,
+    })),
+    timestamp: entry.receivedAt,
+  };
+}
+
+module.exports = { createDiscordReceiver };
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+/**
+ * Start the Protect controller emulator and the Discord webhook receiver
+ *
+ *   npm run emulator -- [--protect-port 7443] [--discord-port 7444]
+ *     [--username admin] [--password password] [--api-key key]
+ *     [--record posts.jsonl]
+ *
+ * Point the bridge at them with the environment printed on startup, then
+ * post an alarm fixture:
+ *
+ *   curl -H "Content-Type: application/json" \
+ *     -d @scripts/emulator/fixtures/alarms/person.json \
+ *     http://localhost:3000/webhook/unifi
+ */
+const { parseArgs } = require("util");
+const { createLogger } = require("../../src/utils/logger");
+const { createProtectEmulator } = require("./protect");
+const { createDiscordReceiver } = require("./discord");
+
+const { values: options } = parseArgs({
+  options: {
+    "protect-port": { type: "string", default: "7443" },
+    "discord-port": { type: "string", default: "7444" },
+    host: { type: "string", default: "127.0.0.1" },
+    username: { type: "string", default: "admin" },
+    password: { type: "string", default: "password" },
+    "api-key": { type: "string" },
+    record: { type: "string" },
+  },
+});
+
+const logger = createLogger().child({ service: "emulator" });
+
+const protect = createProtectEmulator({
+  username: options.username,
+  password: options.password,
+  apiKey: options["api-key"],
+  logger: logger.child({ emulator: "protect" }),
+}).listen(Number(options["protect-port"]), options.host);
+
+const discord = createDiscordReceiver({
+  recordFile: options.record,
+  logger: logger.child({ emulator: "discord" }),
+}).listen(Number(options["discord-port"]), options.host);
+
+protect.on("listening", () => {
+  const protectUrl = `http://${options.host}:${options["protect-port"]}`;
+  const discordUrl = `http://${options.host}:${options["discord-port"]}`;
+
+  logger.info("Emulators started, configure the bridge with", {
+    PROTECT_HOST: protectUrl,
+    PROTECT_USERNAME: options.username,
+    PROTECT_PASSWORD: options.password,
+    PROTECT_API_KEY: options["api-key"],
+    DISCORD_WEBHOOK_URL: `${discordUrl}/api/webhooks/1/emulator`,
+    recordedMessages: `${discordUrl}/messages`,
+  });
+});
+
+const shutdown = () => {
+  protect.close();
+  discord.close();
+};
+
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
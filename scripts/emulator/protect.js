@@ -0,0 +1,264 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const express = require("express");
+
+const FIXTURES_DIR = path.join(__dirname, "fixtures");
+
+// How long before startup the newest fixture event ends
+const NEWEST_EVENT_AGE_MS = 60 * 1000;
+
+/**
+ * Fake UniFi Protect controller for development and tests
+ *
+ * Serves the parts of the UniFi OS and Protect APIs the bridge uses:
+ * username/password login with a TOKEN cookie, the current user, the
+ * bootstrap, events and event thumbnails. With an API key it also serves
+ * the Integration API's device lists and camera snapshots, checked against
+ * the X-API-KEY header. Events come from
+ * fixtures/events.json and are moved in time so the newest ended a minute
+ * before the emulator started, which keeps polling and `events list`
+ * useful.
+ *
+ * @param {Object} options - Emulator options
+ * @param {string} options.username - Accepted username
+ * @param {string} options.password - Accepted password
+ * @param {string} options.apiKey - Accepted Integration API key; the
+ *   Integration API is not emulated without one
+ * @param {number} options.tokenTtlSeconds - Lifetime of issued tokens
+ * @param {string} options.fixturesDir - Directory with bootstrap.json,
+ *   events.json and the thumbnail images
+ * @param {winston.Logger} options.logger - Logger for requests
+ * @returns {express.Application} App to listen with
+ */
+function createProtectEmulator(options = {}) {
+  const username = options.username || "admin";
+  const password = options.password || "password";
+  const apiKey = options.apiKey || null;
+  const tokenTtlSeconds = options.tokenTtlSeconds || 3600;
+  const fixturesDir = options.fixturesDir || FIXTURES_DIR;
+  const logger = options.logger;
+
+  const bootstrap = readJson(path.join(fixturesDir, "bootstrap.json"));
+  const events = rebaseEvents(readJson(path.join(fixturesDir, "events.json")));
+  const thumbnail = fs.readFileSync(path.join(fixturesDir, "thumbnail.jpg"));
+  const animatedThumbnail = fs.readFileSync(
+    path.join(fixturesDir, "animated-thumbnail.gif")
+  );
+  const secret = crypto.randomBytes(32);
+  const user = {
+    id: "66ab9c1e0085a103e4000101",
+    username,
+    firstName: "Protect",
+    lastName: "Emulator",
+    isOwner: false,
+  };
+
+  const app = express();
+  app.use(express.json());
+
+  app.use((req, res, next) => {
+    logger?.info("Protect request", { method: req.method, url: req.url });
+    next();
+  });
+
+  app.post("/api/auth/login", (req, res) => {
+    if (req.body?.username !== username || req.body?.password !== password) {
+      return res.status(401).json({
+        code: "AUTHENTICATION_FAILED_INVALID_CREDENTIALS",
+        message: "Invalid username or password",
+      });
+    }
+
+    const expiresAt = Math.floor(Date.now() / 1000) + tokenTtlSeconds;
+    res.cookie(
+      "TOKEN",
+      signToken({ userId: user.id, exp: expiresAt }, secret),
+      {
+        path: "/",
+        httpOnly: true,
+        sameSite: "strict",
+      }
+    );
+    res.set("X-CSRF-Token", crypto.randomUUID());
+    res.json(user);
+  });
+
+  if (apiKey) {
+    const integration = express.Router();
+
+    integration.use((req, res, next) => {
+      if (req.get("X-API-KEY") !== apiKey) {
+        return res.status(401).json({ error: "Unauthorized" });
+      }
+
+      next();
+    });
+
+    integration.get("/meta/info", (req, res) => {
+      res.json({ applicationVersion: "5.3.41" });
+    });
+
+    for (const collection of ["cameras", "sensors", "lights", "chimes"]) {
+      integration.get(`/${collection}`, (req, res) => {
+        res.json(bootstrap[collection] || []);
+      });
+    }
+
+    integration.get("/cameras/:id/snapshot", (req, res) => {
+      if (!bootstrap.cameras.some((camera) => camera.id === req.params.id)) {
+        return res.status(404).json({ error: "Camera not found" });
+      }
+
+      res.type("image/jpeg").send(thumbnail);
+    });
+
+    app.use("/proxy/protect/integration/v1", integration);
+  }
+
+  // Everything below needs a valid session
+  app.use((req, res, next) => {
+    const token = getCookie(req.get("Cookie"), "TOKEN");
+
+    if (!token || !verifyToken(token, secret)) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+
+    next();
+  });
+
+  app.get("/api/auth/me", (req, res) => {
+    res.json(user);
+  });
+
+  app.get("/proxy/protect/api/bootstrap", (req, res) => {
+    res.json(bootstrap);
+  });
+
+  app.get("/proxy/protect/api/events", (req, res) => {
+    res.json(filterEvents(events, req.query));
+  });
+
+  app.get("/proxy/protect/api/events/:id", (req, res) => {
+    const event = events.find((entry) => entry.id === req.params.id);
+    if (!event) {
+      return res.status(404).json({ error: "Event not found" });
+    }
+
+    res.json(event);
+  });
+
+  app.get("/proxy/protect/api/events/:id/thumbnail", (req, res) => {
+    if (!events.some((entry) => entry.id === req.params.id)) {
+      return res.status(404).json({ error: "Event not found" });
+    }
+
+    res.type("image/jpeg").send(thumbnail);
+  });
+
+  app.get("/proxy/protect/api/events/:id/animated-thumbnail", (req, res) => {
+    if (!events.some((entry) => entry.id === req.params.id)) {
+      return res.status(404).json({ error: "Event not found" });
+    }
+
+    res.type("image/gif").send(animatedThumbnail);
+  });
+
+  app.use((req, res) => {
+    res.status(404).json({ error: "Not emulated" });
+  });
+
+  return app;
+}
+
+/**
+ * Apply the query parameters of GET /proxy/protect/api/events
+ * @param {Array<Object>} events - Fixture events
+ * @param {Object} query - start, end, types, limit and orderDirection
+ * @returns {Array<Object>} Matching events
+ */
+function filterEvents(events, query) {
+  const start = query.start ? Number(query.start) : -Infinity;
+  const end = query.end ? Number(query.end) : Infinity;
+  const types = query.types
+    ? [].concat(query.types).flatMap((type) => type.split(","))
+    : null;
+
+  const matching = events
+    .filter((event) => event.start >= start && event.start <= end)
+    .filter((event) => !types || types.includes(event.type))
+    .sort((a, b) =>
+      String(query.orderDirection).toUpperCase() === "ASC"
+        ? a.start - b.start
+        : b.start - a.start
+    );
+
+  const limit = parseInt(query.limit, 10);
+  return limit > 0 ? matching.slice(0, limit) : matching;
+}
+
+/**
+ * Move recorded events so the newest ended shortly before now
+ * @param {Array<Object>} events - Recorded events
+ * @returns {Array<Object>} Events with start and end shifted
+ */
+function rebaseEvents(events) {
+  const newest = Math.max(...events.map((event) => event.end || event.start));
+  const shift = Date.now() - NEWEST_EVENT_AGE_MS - newest;
+
+  return events.map((event) => ({
+    ...event,
+    start: event.start + shift,
+    end: event.end ? event.end + shift : null,
+  }));
+}
+
+/**
+ * Issue a JWT like UniFi OS does, so the bridge can read its expiry
+ */
+function signToken(payload, secret) {
+  const encode = (value) =>
+    Buffer.from(JSON.stringify(value)).toString("base64url");
+  const body = `${encode({ alg: "HS256", typ: "JWT" })}.${encode(payload)}`;
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(body)
+    .digest("base64url");
+
+  return `${body}.${signature}`;
+}
+
+function verifyToken(token, secret) {
+  const [header, payload, signature] = token.split(".");
+  if (!header || !payload || !signature) return false;
+
+  const expected = crypto
+    .createHmac("sha256", secret)
+    .update(`${header}.${payload}`)
+    .digest();
+  const actual = Buffer.from(signature, "base64url");
+  if (
+    actual.length !== expected.length ||
+    !crypto.timingSafeEqual(actual, expected)
+  ) {
+    return false;
+  }
+
+  const { exp } = JSON.parse(Buffer.from(payload, "base64url").toString());
+  return exp * 1000 > Date.now();
+}
+
+function getCookie(header, name) {
+  for (const part of (header || "").split(";")) {
+    const [key, ...value] = part.trim().split("=");
+    if (key === name) return value.join("=");
+  }
+
+  return null;
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+module.exports = { createProtectEmulator };
@@ -1,28 +1,74 @@
+const path = require("path");
 const express = require("express");
 const helmet = require("helmet");
 const cors = require("cors");
 require("dotenv").config();
 
 const { createLogger } = require("./utils/logger");
-const DiscordService = require("./services/discord");
+const {
+  loadConfig,
+  applyConfig,
+  diffConfig,
+  listConfigFiles,
+  watchConfigFiles,
+} = require("./config");
+
+// Merge CONFIG_FILE under the environment before the modules below read it;
+// their loggers pick up LOG_LEVEL as they load
+const baseEnv = { ...process.env };
+let config;
+try {
+  config = loadConfig(baseEnv);
+} catch (error) {
+  createLogger().error("Invalid configuration", {
+    errors: error.errors || [error.message],
+  });
+  process.exit(1);
+}
+applyConfig(config);
+
+const metrics = require("./utils/metrics");
+const {
+  createWebhookAuthenticator,
+  requireWebhookAuth,
+} = require("./utils/auth");
+const { createServices, reloadServices } = require("./setup");
+const EventAggregator = require("./services/aggregator");
+const WebSocketIngester = require("./services/ingesters/websocket");
+const PollingIngester = require("./services/ingesters/polling");
 const webhookRoutes = require("./routes/webhook");
+const queueRoutes = require("./routes/queue");
+const eventRoutes = require("./routes/events");
+const deviceRoutes = require("./routes/devices");
+const interactionRoutes = require("./routes/interactions");
 
 // Create logger instance
 const logger = createLogger(process.env.LOG_LEVEL || "info");
 
-// Validate required environment variables
-const requiredEnvVars = ["DISCORD_WEBHOOK_URL"];
-const missingEnvVars = requiredEnvVars.filter(
-  (varName) => !process.env[varName]
-);
-
-if (missingEnvVars.length > 0) {
-  logger.error("Missing required environment variables", {
-    missing: missingEnvVars,
-  });
+// Build the services from the configuration, shared with the CLI
+let services;
+try {
+  services = createServices(config.env, { logger });
+} catch (error) {
+  logger.error("Invalid configuration", { error: error.message });
   process.exit(1);
 }
 
+const {
+  deliveryQueue,
+  eventHistory,
+  controllers,
+  protectClient,
+  deviceDirectory,
+  discordVerifier,
+  interactionHandler,
+} = services;
+
+// Load the devices before the first event arrives
+if (deviceDirectory) {
+  deviceDirectory.ensureFresh();
+}
+
 // Create Express app
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -32,16 +78,132 @@ const WEBHOOK_PATH = process.env.WEBHOOK_PATH || "/webhook/unifi";
 app.use(helmet());
 app.use(cors());
 
-// Body parsing middleware
-app.use(express.json({ limit: "1mb" }));
-app.use(express.urlencoded({ extended: true, limit: "1mb" }));
+// Body parsing middleware, keeping the raw body for signature checks
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+app.use(express.json({ limit: "1mb", verify: keepRawBody }));
+app.use(
+  express.urlencoded({ extended: true, limit: "1mb", verify: keepRawBody })
+);
 
 // Trust proxy for accurate IP addresses
 app.set("trust proxy", 1);
 
 // Store services in app.locals for route access
 app.locals.logger = logger;
-app.locals.discordService = new DiscordService(process.env.DISCORD_WEBHOOK_URL);
+app.locals.webhookAuth = createWebhookAuth(config.env);
+app.locals.deliveryQueue = deliveryQueue;
+app.locals.protectClient = protectClient;
+app.locals.controllers = controllers;
+app.locals.eventHistory = eventHistory;
+app.locals.deviceDirectory = deviceDirectory;
+app.locals.discordVerifier = discordVerifier;
+app.locals.interactionHandler = interactionHandler;
+app.locals.discordService = services.discordService;
+
+// Buffer bursts of events into a single digest message per destination
+if (parseFloat(process.env.AGGREGATION_WINDOW_SECONDS) > 0) {
+  app.locals.discordService.aggregator = new EventAggregator({
+    windowMs: parseFloat(process.env.AGGREGATION_WINDOW_SECONDS) * 1000,
+    onFlush: (key, items, digestId) =>
+      app.locals.discordService.sendDigest(
+        items[0].destination,
+        items,
+        digestId
+      ),
+  });
+}
+
+// The ingesters read events from every controller with credentials
+const ingestControllers = controllers.listConfigured();
+
+for (const { name, protect } of ingestControllers) {
+  if (!protect.hasSession()) {
+    logger.warn(
+      "Protect controller has only an API key: posts get a live camera snapshot instead of the event thumbnail, and clips, post updates and polling are off",
+      { controller: name }
+    );
+  }
+}
+
+// Ingest events straight from Protect's updates websocket
+let websocketIngesters = [];
+if (process.env.PROTECT_WEBSOCKET_ENABLED === "true") {
+  if (ingestControllers.length === 0) {
+    logger.error(
+      "PROTECT_WEBSOCKET_ENABLED requires PROTECT_API_KEY or PROTECT_USERNAME and PROTECT_PASSWORD"
+    );
+    process.exit(1);
+  }
+
+  websocketIngesters = ingestControllers.map(
+    (controller) =>
+      new WebSocketIngester({
+        protect: controller.protect,
+        discord: app.locals.discordService,
+        detections: process.env.PROTECT_WEBSOCKET_EVENT_TYPES
+          ? process.env.PROTECT_WEBSOCKET_EVENT_TYPES.split(",").map((type) =>
+              type.trim()
+            )
+          : undefined,
+        maxBackoffMs:
+          (parseFloat(process.env.PROTECT_WEBSOCKET_MAX_BACKOFF_SECONDS) ||
+            60) * 1000,
+      })
+  );
+  websocketIngesters.forEach((ingester) => ingester.start());
+}
+
+// Poll Protect's event list and post each new event once. The Integration
+// API has no event list, so this needs a session.
+let pollingIngesters = [];
+if (process.env.PROTECT_POLLING_ENABLED === "true") {
+  const pollingControllers = ingestControllers.filter((controller) =>
+    controller.protect.hasSession()
+  );
+
+  if (pollingControllers.length === 0) {
+    logger.error(
+      "PROTECT_POLLING_ENABLED requires PROTECT_USERNAME and PROTECT_PASSWORD"
+    );
+    process.exit(1);
+  }
+
+  try {
+    pollingIngesters = pollingControllers.map(
+      (controller) =>
+        new PollingIngester({
+          protect: controller.protect,
+          discord: app.locals.discordService,
+          detections: process.env.PROTECT_POLL_EVENT_TYPES
+            ? process.env.PROTECT_POLL_EVENT_TYPES.split(",").map((type) =>
+                type.trim()
+              )
+            : undefined,
+          intervalMs:
+            (parseFloat(process.env.PROTECT_POLL_INTERVAL_SECONDS) || 60) *
+            1000,
+          cursorFile: getCursorFile(controller.name),
+          initialLookbackMs:
+            (parseFloat(process.env.PROTECT_POLL_LOOKBACK_SECONDS) || 0) * 1000,
+        })
+    );
+  } catch (error) {
+    logger.error("Failed to initialize event polling", {
+      error: error.message,
+    });
+    process.exit(1);
+  }
+
+  pollingIngesters.forEach((ingester) => ingester.start());
+}
+
+metrics.trackQueueDepth(deliveryQueue);
+
+if (deliveryQueue) {
+  deliveryQueue.start((entry) => app.locals.discordService.redeliver(entry));
+}
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -55,7 +217,37 @@ app.use((req, res, next) => {
 });
 
 // Routes
+app.use(`${WEBHOOK_PATH}/queue`, requireWebhookAuth, queueRoutes);
+for (const controller of controllers.list()) {
+  // Alarms posted to a controller's own path belong to that controller
+  if (controller.webhookPath) {
+    app.use(
+      controller.webhookPath,
+      (req, res, next) => {
+        req.controller = controller.name;
+        next();
+      },
+      webhookRoutes
+    );
+  }
+}
 app.use(WEBHOOK_PATH, webhookRoutes);
+app.use("/events", requireWebhookAuth, eventRoutes);
+app.use("/devices", requireWebhookAuth, deviceRoutes);
+if (interactionHandler) {
+  // Discord signs interactions itself, so no webhook auth here
+  app.use("/discord/interactions", interactionRoutes);
+}
+
+// Prometheus metrics
+app.get("/metrics", async (req, res, next) => {
+  try {
+    res.set("Content-Type", metrics.register.contentType);
+    res.end(await metrics.register.metrics());
+  } catch (error) {
+    next(error);
+  }
+});
 
 // Root endpoint
 app.get("/", (req, res) => {
@@ -65,7 +257,13 @@ app.get("/", (req, res) => {
     status: "running",
     endpoints: {
       webhook: `${WEBHOOK_PATH}`,
+      preview: `${WEBHOOK_PATH}/preview`,
       health: `${WEBHOOK_PATH}/health`,
+      queue: `${WEBHOOK_PATH}/queue`,
+      events: "/events",
+      devices: "/devices",
+      interactions: interactionHandler ? "/discord/interactions" : null,
+      metrics: "/metrics",
     },
   });
 });
@@ -94,20 +292,128 @@ app.use((error, req, res, next) => {
   });
 });
 
+/**
+ * Reload the configuration and swap in the parts that can change at
+ * runtime. Requests in flight finish normally; an invalid configuration is
+ * logged and the current one kept.
+ */
+const reloadConfig = (reason) => {
+  let next;
+  let changed;
+  let restartRequired;
+  try {
+    next = loadConfig(baseEnv);
+    ({ changed, restartRequired } = diffConfig(config, next));
+
+    // Keep the replay protection of the current authenticator when its
+    // settings didn't change
+    const webhookAuth = changed.some((name) => name.startsWith("WEBHOOK_"))
+      ? createWebhookAuth(next.env)
+      : app.locals.webhookAuth;
+
+    reloadServices(services, next.env);
+    app.locals.webhookAuth = webhookAuth;
+  } catch (error) {
+    logger.error("Failed to reload configuration, keeping the current one", {
+      reason,
+      errors: error.errors || [error.message],
+    });
+    return;
+  }
+
+  applyConfig(
+    next,
+    process.env,
+    changed.filter((name) => !restartRequired.includes(name))
+  );
+  config = next;
+
+  logger.info("Configuration reloaded", {
+    reason,
+    changed,
+    routes: services.eventRouter.routes.length,
+    notifiers: services.notifiers ? services.notifiers.sinks.length : 0,
+  });
+
+  if (restartRequired.length > 0) {
+    logger.warn("Some changed settings only take effect after a restart", {
+      settings: restartRequired,
+    });
+  }
+
+  watchFiles();
+};
+
+// Reload when the config file or a file it points to changes
+let stopWatching = null;
+const watchFiles = () => {
+  if (stopWatching) stopWatching();
+  stopWatching =
+    config.env.CONFIG_WATCH !== "false"
+      ? watchConfigFiles(listConfigFiles(config), (file) =>
+          reloadConfig(`${file} changed`)
+        )
+      : null;
+};
+watchFiles();
+
+/**
+ * Get the polling cursor file of a controller. With several controllers
+ * each gets its own, e.g. data/poll-cursor-nvr2.json.
+ */
+function getCursorFile(name) {
+  const file = process.env.PROTECT_POLL_CURSOR_FILE;
+  if (controllers.list().length === 1) {
+    return file;
+  }
+
+  const parsed = path.parse(file || path.join("data", "poll-cursor.json"));
+  return path.join(parsed.dir, `${parsed.name}-${name}${parsed.ext}`);
+}
+
+/**
+ * Build the webhook authenticator from the WEBHOOK_* settings
+ */
+function createWebhookAuth(env) {
+  return createWebhookAuthenticator({
+    secret: env.WEBHOOK_SECRET,
+    headerName: env.WEBHOOK_AUTH_HEADER,
+    signatureSecret: env.WEBHOOK_SIGNATURE_SECRET,
+    signatureHeader: env.WEBHOOK_SIGNATURE_HEADER,
+    timestampHeader: env.WEBHOOK_TIMESTAMP_HEADER,
+    toleranceSeconds: parseFloat(env.WEBHOOK_SIGNATURE_TOLERANCE),
+  });
+}
+
 // Graceful shutdown handling
 const gracefulShutdown = (signal) => {
   logger.info(`Received ${signal}, starting graceful shutdown`);
 
-  server.close(() => {
-    logger.info("HTTP server closed");
-    process.exit(0);
-  });
+  if (stopWatching) {
+    stopWatching();
+  }
+
+  if (deliveryQueue) {
+    deliveryQueue.stop();
+  }
+
+  websocketIngesters.forEach((ingester) => ingester.stop());
+  pollingIngesters.forEach((ingester) => ingester.stop());
 
   // Force shutdown after 10 seconds
   setTimeout(() => {
     logger.error("Forced shutdown after timeout");
     process.exit(1);
   }, 10000);
+
+  // Post any buffered digests before exiting
+  const aggregator = app.locals.discordService.aggregator;
+  Promise.resolve(aggregator && aggregator.flushAll()).finally(() => {
+    server.close(() => {
+      logger.info("HTTP server closed");
+      process.exit(0);
+    });
+  });
 };
 
 // Start server
@@ -115,6 +421,14 @@ const server = app.listen(PORT, () => {
   logger.info("Server started successfully", {
     port: PORT,
     webhookPath: WEBHOOK_PATH,
+    controllers: controllers.list().map((controller) => controller.name),
+    configFile: config.file,
+    routes: services.eventRouter.routes.length,
+    scheduleRules: services.schedule ? services.schedule.rules.length : 0,
+    notifiers: services.notifiers
+      ? services.notifiers.sinks.map((entry) => `${entry.name} (${entry.type})`)
+      : [],
+    dryRun: services.discordService.dryRun,
     nodeVersion: process.version,
     environment: process.env.NODE_ENV || "development",
   });
@@ -123,6 +437,7 @@ const server = app.listen(PORT, () => {
 // Handle shutdown signals
 process.on("SIGTERM", () => gracefulShutdown("SIGTERM"));
 process.on("SIGINT", () => gracefulShutdown("SIGINT"));
+process.on("SIGHUP", () => reloadConfig("SIGHUP"));
 
 // Handle uncaught exceptions
 process.on("uncaughtException", (error) => {
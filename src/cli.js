@@ -0,0 +1,701 @@
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const dotenv = require("dotenv");
+const ProtectControllers = require("./services/controllers");
+const { loadControllers } = ProtectControllers;
+const { parseDuration } = require("./services/interactions");
+const {
+  getDetections,
+  toEventData,
+  mapCameras,
+  filterThumbnailEvents,
+} = require("./services/ingesters/events");
+const { generateRequestId } = require("./utils/validator");
+const { createServices } = require("./setup");
+const { loadConfig, applyConfig } = require("./config");
+
+const EXIT_CODES = { OK: 0, FAILURE: 1, USAGE: 2, CONFIG: 3 };
+
+const USAGE = `Usage: unifi-discord <command> [options]
+
+Commands:
+  login                            Check the Protect credentials
+  events list [--since <time>]     List Protect events
+  thumbnail <eventId>              Download the thumbnail of an event
+  send <eventId>                   Post an event to Discord
+  replay --from <time> [--to <time>]
+                                   Post every event in a time range
+  test-webhook                     Post a test message to the webhooks
+
+Options:
+  --json               Print results as JSON
+  --config <file>      Read settings from this YAML or JSON file
+                       (default: CONFIG_FILE)
+  --env-file <file>    Read environment variables from this file
+                       (default: .env)
+  --controller <name>  Protect controller to use (default: the first one)
+  --verbose            Show service logs on stderr
+  -h, --help           Show this help
+
+events list:
+  --since <time>       Start of the range (default: 24h)
+  --until <time>       End of the range (default: now)
+  --limit <n>          Most events to list (default: 100)
+  --all                Include events without a camera thumbnail
+
+thumbnail:
+  --animated           Download the animated GIF instead of the JPEG
+  -o, --output <file>  Output file, or - for stdout
+
+send, replay:
+  --type <types>       Only post these detections, e.g. person,vehicle
+
+test-webhook:
+  --all                Post to every webhook in the routing table
+
+Times are ISO dates, epoch milliseconds or durations before now such as
+30m, 2h or 7d.
+
+Exit codes: 0 success, 1 command failed, 2 usage error, 3 configuration error
+`;
+
+const OPTIONS = {
+  json: { type: "boolean" },
+  "env-file": { type: "string" },
+  config: { type: "string" },
+  controller: { type: "string" },
+  verbose: { type: "boolean" },
+  help: { type: "boolean", short: "h" },
+  since: { type: "string" },
+  until: { type: "string" },
+  limit: { type: "string" },
+  all: { type: "boolean" },
+  animated: { type: "boolean" },
+  output: { type: "string", short: "o" },
+  type: { type: "string" },
+  from: { type: "string" },
+  to: { type: "string" },
+};
+
+/**
+ * Error that ends the CLI with a specific exit code
+ */
+class CliError extends Error {
+  constructor(message, exitCode = EXIT_CODES.FAILURE) {
+    super(message);
+    this.name = "CliError";
+    this.exitCode = exitCode;
+  }
+}
+
+const COMMANDS = {
+  login,
+  "events list": listEvents,
+  thumbnail: downloadThumbnail,
+  send: sendEvent,
+  replay: replayEvents,
+  "test-webhook": testWebhook,
+};
+
+/**
+ * Run a CLI command
+ * @param {Array<string>} argv - Command line arguments without node and the
+ *   script
+ * @returns {Promise<number>} Exit code
+ */
+async function run(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: OPTIONS,
+      allowPositionals: true,
+    });
+  } catch (error) {
+    return fail(
+      new CliError(error.message, EXIT_CODES.USAGE),
+      argv.includes("--json")
+    );
+  }
+
+  const { values: options, positionals } = parsed;
+  const json = !!options.json;
+
+  if (options.help || positionals.length === 0) {
+    process.stdout.write(USAGE);
+    return options.help ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+  }
+
+  const name = [positionals[0], positionals[1]].join(" ");
+  const command = COMMANDS[name] ? name : positionals[0];
+  const handler = COMMANDS[command];
+  if (!handler) {
+    return fail(
+      new CliError(
+        `Unknown command "${positionals.slice(0, 2).join(" ")}"`,
+        EXIT_CODES.USAGE
+      ),
+      json
+    );
+  }
+
+  // Read the same configuration as the server
+  dotenv.config({ path: options["env-file"] });
+  if (options.config) {
+    process.env.CONFIG_FILE = options.config;
+  }
+
+  try {
+    try {
+      applyConfig(loadConfig(process.env, { partial: true }));
+    } catch (error) {
+      throw new CliError(error.message, EXIT_CODES.CONFIG);
+    }
+
+    const args = positionals.slice(command.split(" ").length);
+    const { result, text } = await handler(args, options);
+
+    process.stdout.write(
+      json ? `${JSON.stringify(result, null, 2)}\n` : text ? `${text}\n` : ""
+    );
+
+    return result.ok === false ? EXIT_CODES.FAILURE : EXIT_CODES.OK;
+  } catch (error) {
+    return fail(error, json);
+  }
+}
+
+/**
+ * Report an error and pick the exit code
+ */
+function fail(error, json) {
+  const exitCode = error.exitCode || EXIT_CODES.FAILURE;
+  const message = describeError(error);
+
+  if (json) {
+    process.stdout.write(
+      `${JSON.stringify({ ok: false, error: message, exitCode }, null, 2)}\n`
+    );
+  } else {
+    process.stderr.write(`Error: ${message}\n`);
+    if (exitCode === EXIT_CODES.USAGE) {
+      process.stderr.write("Run unifi-discord --help for usage\n");
+    }
+  }
+
+  return exitCode;
+}
+
+function describeError(error) {
+  const status = error.response?.status || error.statusCode;
+  return status ? `${error.message} (HTTP ${status})` : error.message;
+}
+
+/**
+ * Check the Protect credentials: the API key with an Integration API
+ * request, and username and password by logging in
+ */
+async function login(args, options) {
+  const protect = createProtectClient(options);
+  const result = {
+    ok: true,
+    host: protect.host,
+    auth: protect.getAuthMethod(),
+  };
+  const lines = [];
+
+  if (protect.apiKey) {
+    const info = await protect.getMetaInfo();
+    result.version = info?.applicationVersion || null;
+    lines.push(
+      `API key accepted by ${protect.host} (Protect ${
+        result.version || "version unknown"
+      })`
+    );
+  }
+
+  if (protect.hasSession()) {
+    await protect.getToken();
+    const user = await protect.getCurrentUser();
+    result.user = user?.username || user?.name || protect.username;
+    lines.push(`Logged in to ${protect.host} as ${result.user}`);
+  }
+
+  return { result, text: lines.join("\n") };
+}
+
+/**
+ * List Protect events in a time range
+ */
+async function listEvents(args, options) {
+  const protect = createProtectClient(options, { session: true });
+  const end = parseTime(options.until, "--until") ?? Date.now();
+  const start = parseTime(options.since ?? "24h", "--since");
+  const limit = parseLimit(options.limit);
+
+  const events = await fetchEvents(protect, start, end, limit);
+  const listed = options.all ? events : filterThumbnailEvents(events);
+  const cameras = mapCameras(await protect.getBootstrap());
+
+  const rows = listed.map((event) => ({
+    id: event.id,
+    type: event.type,
+    start: new Date(event.start).toISOString(),
+    end: event.end ? new Date(event.end).toISOString() : null,
+    camera: cameras.get(event.camera)?.name || event.camera || null,
+    smartDetectTypes: event.smartDetectTypes || [],
+    score: event.score ?? null,
+  }));
+
+  return {
+    result: { ok: true, start, end, count: rows.length, events: rows },
+    text:
+      rows.length > 0
+        ? rows
+            .map((row) =>
+              [
+                row.id,
+                row.start,
+                row.type,
+                row.camera || "-",
+                row.smartDetectTypes.join(",") || "-",
+              ].join("  ")
+            )
+            .join("\n")
+        : "No events found",
+  };
+}
+
+/**
+ * Download the static or animated thumbnail of an event
+ */
+async function downloadThumbnail(args, options) {
+  const [eventId] = args;
+  if (!eventId) {
+    throw new CliError("thumbnail needs an event ID", EXIT_CODES.USAGE);
+  }
+
+  const protect = createProtectClient(options, { session: true });
+  const data = options.animated
+    ? await protect.getAnimatedThumbnail(eventId)
+    : await protect.getThumbnail(eventId);
+  const output =
+    options.output ||
+    `thumbnail-${eventId}.${options.animated ? "gif" : "jpg"}`;
+
+  if (output === "-") {
+    if (options.json) {
+      throw new CliError(
+        "--output - can't be combined with --json",
+        EXIT_CODES.USAGE
+      );
+    }
+
+    process.stdout.write(data);
+    return { result: { ok: true }, text: null };
+  }
+
+  fs.writeFileSync(output, data);
+
+  return {
+    result: {
+      ok: true,
+      eventId,
+      animated: !!options.animated,
+      file: path.resolve(output),
+      bytes: data.length,
+    },
+    text: `Saved ${output} (${data.length} bytes)`,
+  };
+}
+
+/**
+ * Post one Protect event to Discord
+ */
+async function sendEvent(args, options) {
+  const [eventId] = args;
+  if (!eventId) {
+    throw new CliError("send needs an event ID", EXIT_CODES.USAGE);
+  }
+
+  const { protectClient: protect, discordService } = createDiscordServices(
+    options,
+    { session: true }
+  );
+  const event = await protect.getEvent(eventId);
+  const cameras = mapCameras(await protect.getBootstrap());
+  const results = await postEvent(
+    discordService,
+    protect,
+    event,
+    cameras,
+    options
+  );
+
+  if (results.length === 0) {
+    throw new CliError(`Event ${eventId} has no detections to post`);
+  }
+
+  return summarize(results);
+}
+
+/**
+ * Post every Protect event in a time range to Discord, oldest first
+ */
+async function replayEvents(args, options) {
+  if (!options.from) {
+    throw new CliError("replay needs --from", EXIT_CODES.USAGE);
+  }
+
+  const start = parseTime(options.from, "--from");
+  const end = parseTime(options.to, "--to") ?? Date.now();
+  if (start >= end) {
+    throw new CliError("--from must be before --to", EXIT_CODES.USAGE);
+  }
+
+  const { protectClient: protect, discordService } = createDiscordServices(
+    options,
+    { session: true }
+  );
+  const events = await fetchEvents(
+    protect,
+    start,
+    end,
+    parseLimit(options.limit, 1000)
+  );
+  const cameras = mapCameras(await protect.getBootstrap());
+  const results = [];
+
+  for (const event of events) {
+    results.push(
+      ...(await postEvent(discordService, protect, event, cameras, options))
+    );
+  }
+
+  return summarize(results);
+}
+
+/**
+ * Post a test message to the default webhook, or every routed webhook
+ */
+async function testWebhook(args, options) {
+  const { eventRouter, discordService } = createDiscordServices(options);
+  const destinations = options.all
+    ? eventRouter.listDestinations()
+    : [{ route: "default", webhookUrl: eventRouter.defaultWebhookUrl }];
+
+  const results = [];
+  for (const destination of destinations) {
+    try {
+      const response = await discordService.sendMessage(
+        {
+          embeds: [
+            {
+              title: "✅ Test message",
+              description: `The Unifi Protect bridge can post to the **${destination.route}** webhook.`,
+              color: 3066993,
+              timestamp: new Date().toISOString(),
+              footer: { text: "Unifi Protect" },
+            },
+          ],
+        },
+        generateRequestId(),
+        destination.webhookUrl
+      );
+
+      results.push({
+        route: destination.route,
+        success: true,
+        messageId: response?.id || null,
+      });
+    } catch (error) {
+      results.push({
+        route: destination.route,
+        success: false,
+        error: describeError(error),
+      });
+    }
+  }
+
+  const ok = results.every((result) => result.success);
+
+  return {
+    result: { ok, webhooks: results },
+    text: results
+      .map((result) =>
+        result.success
+          ? `ok      ${result.route}`
+          : `failed  ${result.route}: ${result.error}`
+      )
+      .join("\n"),
+  };
+}
+
+/**
+ * Build the Protect client of the --controller, failing if no credentials
+ * are configured
+ * @param {Object} options - Parsed CLI options
+ * @param {Object} requirements - What the command needs
+ * @param {boolean} requirements.session - Username and password, for
+ *   events, thumbnails and exports the Integration API doesn't serve
+ */
+function createProtectClient(options, requirements = {}) {
+  let controllers;
+  try {
+    controllers = new ProtectControllers(loadControllers(process.env), {
+      fingerprintFile: process.env.PROTECT_TLS_FINGERPRINT_FILE,
+    });
+  } catch (error) {
+    throw new CliError(error.message, EXIT_CODES.CONFIG);
+  }
+
+  const { protect } = selectController(controllers, options.controller);
+  checkCredentials(protect, requirements);
+
+  return protect;
+}
+
+/**
+ * Build the server's Discord pipeline for one-off sends, with the Protect
+ * client of the --controller as protectClient
+ * @param {Object} options - Parsed CLI options
+ * @param {Object} requirements - What the command needs, see
+ *   createProtectClient
+ */
+function createDiscordServices(options, requirements = {}) {
+  if (!process.env.DISCORD_WEBHOOK_URL) {
+    throw new CliError(
+      "DISCORD_WEBHOOK_URL (discord.webhookUrl) must be set",
+      EXIT_CODES.CONFIG
+    );
+  }
+
+  let services;
+  try {
+    services = createServices({
+      ...process.env,
+      // The history file and retry queue belong to the running server
+      HISTORY_ENABLED: "false",
+      QUEUE_ENABLED: "false",
+      // Don't keep the process alive waiting for events to end
+      EVENT_UPDATES_ENABLED: "false",
+      // Cooldown windows run on the wall clock and would swallow a replay
+      COOLDOWN_SECONDS: "0",
+      // Clips are exported in the background once the event ends, after the
+      // command has exited; post the thumbnail instead
+      CLIP_EVENT_TYPES: "",
+    });
+  } catch (error) {
+    throw new CliError(error.message, EXIT_CODES.CONFIG);
+  }
+
+  const { protect } = selectController(
+    services.controllers,
+    options.controller
+  );
+  checkCredentials(protect, requirements);
+
+  return { ...services, protectClient: protect };
+}
+
+/**
+ * Fail with a configuration error unless the client has the credentials a
+ * command needs
+ */
+function checkCredentials(protect, requirements) {
+  if (requirements.session && !protect.hasSession()) {
+    throw new CliError(
+      protect.apiKey
+        ? "PROTECT_USERNAME and PROTECT_PASSWORD must be set, the Integration API key gives no access to Protect events"
+        : "PROTECT_USERNAME and PROTECT_PASSWORD must be set",
+      EXIT_CODES.CONFIG
+    );
+  }
+
+  if (!protect.isConfigured()) {
+    throw new CliError(
+      "PROTECT_API_KEY or PROTECT_USERNAME and PROTECT_PASSWORD must be set",
+      EXIT_CODES.CONFIG
+    );
+  }
+}
+
+/**
+ * Pick a controller by name, or the first one without a name
+ */
+function selectController(controllers, name) {
+  if (!name) {
+    return controllers.default;
+  }
+
+  const controller = controllers.get(name);
+  if (!controller) {
+    throw new CliError(
+      `Unknown controller "${name}", configured: ${controllers
+        .list()
+        .map((entry) => entry.name)
+        .join(", ")}`,
+      EXIT_CODES.USAGE
+    );
+  }
+
+  return controller;
+}
+
+/**
+ * Fetch events in a time range, oldest first, following pages until the
+ * range or the limit runs out
+ */
+async function fetchEvents(protect, start, end, limit) {
+  const events = [];
+  const seen = new Set();
+  let cursor = start;
+
+  while (events.length < limit) {
+    const page = await protect.getEvents({
+      start: cursor,
+      end,
+      limit: Math.min(100, limit - events.length),
+      orderDirection: "ASC",
+    });
+
+    const fresh = (page || []).filter((event) => !seen.has(event.id));
+    if (fresh.length === 0) break;
+
+    for (const event of fresh) {
+      seen.add(event.id);
+      events.push(event);
+    }
+
+    cursor = fresh[fresh.length - 1].start;
+  }
+
+  return events.slice(0, limit);
+}
+
+/**
+ * Post each detection of an event like the ingesters do
+ */
+async function postEvent(discordService, protect, event, cameras, options) {
+  const camera = cameras.get(event.camera);
+  const types = options.type
+    ? options.type.split(",").map((type) => type.trim().toLowerCase())
+    : null;
+
+  if (!camera) {
+    return [];
+  }
+
+  const results = [];
+  for (const detection of getDetections(event)) {
+    if (types && !types.includes(detection.toLowerCase())) continue;
+
+    const entry = { eventId: event.id, detection, camera: camera.name };
+
+    try {
+      const result = await discordService.processAndSend(
+        toEventData(event, detection, camera, protect.name),
+        generateRequestId()
+      );
+
+      const failed = (result.deliveries || []).filter(
+        (delivery) => !delivery.success
+      );
+      results.push({
+        ...entry,
+        success: failed.length === 0,
+        status: result.dryRun
+          ? "dry-run"
+          : result.dropped
+          ? "dropped"
+          : result.suppressed
+          ? "suppressed"
+          : result.deferred
+          ? "deferred"
+          : result.aggregated
+          ? "aggregated"
+          : "delivered",
+        delivered: result.delivered,
+        messageId: result.id || null,
+        errors: failed.map((delivery) => delivery.error),
+        preview: result.preview,
+      });
+    } catch (error) {
+      results.push({
+        ...entry,
+        success: false,
+        status: "failed",
+        errors: [describeError(error)],
+      });
+    }
+  }
+
+  return results;
+}
+
+function summarize(results) {
+  const failed = results.filter((result) => !result.success).length;
+
+  return {
+    result: {
+      ok: failed === 0,
+      posted: results.length - failed,
+      failed,
+      results,
+    },
+    text: [
+      ...results.map(
+        (result) =>
+          `${result.success ? result.status.padEnd(11) : "failed     "}${
+            result.eventId
+          }  ${result.detection}  ${result.camera}${
+            result.errors.length > 0 ? `: ${result.errors.join("; ")}` : ""
+          }`
+      ),
+      `${results.length - failed} posted, ${failed} failed`,
+    ].join("\n"),
+  };
+}
+
+/**
+ * Parse an ISO date, epoch milliseconds or a duration before now
+ * @param {string|undefined} value - Time option
+ * @param {string} name - Option name for errors
+ * @returns {number|undefined} Epoch milliseconds
+ */
+function parseTime(value, name) {
+  if (value === undefined) return undefined;
+
+  if (/^\d{12,}$/.test(value)) {
+    return Number(value);
+  }
+
+  const duration = /^[\d.]+[dhms]/i.test(value) ? parseDuration(value) : null;
+  if (duration) {
+    return Date.now() - duration;
+  }
+
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new CliError(
+      `Invalid time for ${name}: "${value}"`,
+      EXIT_CODES.USAGE
+    );
+  }
+
+  return time;
+}
+
+function parseLimit(value, fallback = 100) {
+  if (value === undefined) return fallback;
+
+  const limit = parseInt(value, 10);
+  if (!(limit > 0)) {
+    throw new CliError(`Invalid --limit "${value}"`, EXIT_CODES.USAGE);
+  }
+
+  return limit;
+}
+
+module.exports = { run, EXIT_CODES };
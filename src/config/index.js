@@ -0,0 +1,457 @@
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+const { SETTINGS } = require("./schema");
+
+// How often watched config files are checked for changes
+const WATCH_INTERVAL_MS = 2000;
+
+/**
+ * Configuration that doesn't match the schema
+ */
+class ConfigError extends Error {
+  /**
+   * @param {Array<string>} errors - One message per invalid setting
+   */
+  constructor(errors) {
+    super(`Invalid configuration: ${errors.join("; ")}`);
+    this.name = "ConfigError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * Load the configuration from CONFIG_FILE and the environment
+ *
+ * The file may be YAML or JSON. Environment variables override values from
+ * the file; empty variables count as unset. The result is validated against
+ * the schema in ./schema.js.
+ *
+ * @param {Object} env - Environment variables
+ * @param {Object} options - Load options
+ * @param {boolean} options.partial - Don't require settings such as the
+ *   Discord webhook, for tools that only use part of the configuration
+ * @returns {Object} Config with the `file` it was read from, the merged
+ *   settings in `env` and the `sources` ("file" or "env") of each setting
+ * @throws {ConfigError} With every problem found
+ */
+function loadConfig(env = process.env, options = {}) {
+  const errors = [];
+  const file = env.CONFIG_FILE || null;
+  const fileEnv = file ? readConfigFile(file, errors) : {};
+
+  // Settings can't be checked against a file that didn't parse
+  if (errors.length > 0) {
+    throw new ConfigError(errors);
+  }
+
+  const merged = { ...fileEnv };
+  const sources = Object.fromEntries(
+    Object.keys(fileEnv).map((key) => [key, "file"])
+  );
+
+  for (const [key, value] of Object.entries(env)) {
+    if (value === undefined || value === "") continue;
+    merged[key] = value;
+    sources[key] = "env";
+  }
+
+  for (const setting of SETTINGS) {
+    const label = sources[setting.env] === "file" ? setting.path : setting.env;
+    const raw = merged[setting.env];
+
+    if (raw === undefined) {
+      if (setting.required && !options.partial) {
+        errors.push(
+          `${setting.env}${
+            setting.path ? ` (${setting.path})` : ""
+          }: is required`
+        );
+      }
+      continue;
+    }
+
+    validateSetting(setting, raw, label, errors);
+  }
+
+  if (errors.length > 0) {
+    throw new ConfigError(errors);
+  }
+
+  return { file, env: merged, sources };
+}
+
+/**
+ * Copy settings into an environment object such as process.env, so code
+ * that reads the environment sees values from the config file
+ * @param {Object} config - Config from loadConfig
+ * @param {Object} target - Environment to update
+ * @param {Array<string>} keys - Settings to copy, defaults to the ones that
+ *   came from the file; settings missing from the config are removed
+ */
+function applyConfig(config, target = process.env, keys = null) {
+  const names =
+    keys ||
+    Object.keys(config.sources).filter((key) => config.sources[key] === "file");
+
+  for (const key of names) {
+    if (config.env[key] === undefined) {
+      delete target[key];
+    } else {
+      target[key] = config.env[key];
+    }
+  }
+}
+
+/**
+ * Compare two configurations
+ * @param {Object} previous - Config in use
+ * @param {Object} next - Newly loaded config
+ * @returns {Object} Names of the `changed` settings, and of the changed
+ *   settings that only take effect after a restart
+ */
+function diffConfig(previous, next) {
+  const changed = SETTINGS.filter(
+    (setting) => previous.env[setting.env] !== next.env[setting.env]
+  );
+
+  return {
+    changed: changed.map((setting) => setting.env),
+    restartRequired: changed
+      .filter((setting) => !setting.reload)
+      .map((setting) => setting.env),
+  };
+}
+
+/**
+ * List the files a reload reads: the config file and the reloadable files
+ * it points to
+ * @param {Object} config - Config from loadConfig
+ * @returns {Array<string>} File paths
+ */
+function listConfigFiles(config) {
+  const files = SETTINGS.filter(
+    (setting) => setting.type === "file" && setting.reload
+  ).map((setting) => config.env[setting.env]);
+
+  return [config.file, ...files].filter(Boolean);
+}
+
+/**
+ * Call back when any of the files changes
+ *
+ * Files are polled rather than watched with inotify so that editors that
+ * replace the file on save, and bind-mounted files in containers, are
+ * picked up as well.
+ *
+ * @param {Array<string>} files - Files to watch
+ * @param {Function} onChange - Called with the changed file
+ * @returns {Function} Stops watching
+ */
+function watchConfigFiles(files, onChange) {
+  const listeners = files.map((file) => {
+    const listener = (current, previous) => {
+      if (
+        current.mtimeMs !== previous.mtimeMs ||
+        current.size !== previous.size
+      ) {
+        onChange(file);
+      }
+    };
+
+    fs.watchFile(
+      file,
+      { interval: WATCH_INTERVAL_MS, persistent: false },
+      listener
+    );
+    return [file, listener];
+  });
+
+  return () => {
+    for (const [file, listener] of listeners) {
+      fs.unwatchFile(file, listener);
+    }
+  };
+}
+
+/**
+ * Read a YAML or JSON config file and flatten it to environment variables
+ * @param {string} file - Config file path
+ * @param {Array<string>} errors - Collects problems
+ * @returns {Object} Settings by environment variable
+ */
+function readConfigFile(file, errors) {
+  let parsed;
+  try {
+    const text = fs.readFileSync(file, "utf8");
+    parsed =
+      path.extname(file).toLowerCase() === ".json"
+        ? JSON.parse(text)
+        : YAML.parse(text);
+  } catch (error) {
+    errors.push(`${file}: ${error.message}`);
+    return {};
+  }
+
+  if (parsed === null || parsed === undefined) {
+    return {};
+  }
+
+  if (!isPlainObject(parsed)) {
+    errors.push(`${file}: must contain a mapping of settings`);
+    return {};
+  }
+
+  const settingsByPath = new Map(
+    SETTINGS.filter((setting) => setting.path).map((setting) => [
+      setting.path,
+      setting,
+    ])
+  );
+  const result = {};
+
+  const walk = (object, prefix) => {
+    for (const [key, value] of Object.entries(object)) {
+      const keyPath = prefix ? `${prefix}.${key}` : key;
+      const setting = settingsByPath.get(keyPath);
+
+      if (setting) {
+        const raw = toEnvValue(setting, value, keyPath, errors);
+        if (raw !== undefined) result[setting.env] = raw;
+      } else if (
+        isPlainObject(value) &&
+        SETTINGS.some((entry) => entry.path?.startsWith(`${keyPath}.`))
+      ) {
+        walk(value, keyPath);
+      } else {
+        errors.push(`${keyPath}: is not a known setting`);
+      }
+    }
+  };
+
+  walk(parsed, "");
+  return result;
+}
+
+/**
+ * Convert a value from the config file to its environment form
+ */
+function toEnvValue(setting, value, label, errors) {
+  if (value === null || value === undefined) {
+    return undefined;
+  }
+
+  if (setting.type === "json") {
+    return typeof value === "string" ? value : JSON.stringify(value);
+  }
+
+  if (setting.type === "list" && Array.isArray(value)) {
+    if (value.some((item) => typeof item === "object")) {
+      errors.push(`${label}: must be a list of strings`);
+      return undefined;
+    }
+    return value.join(",");
+  }
+
+  if (typeof value === "object") {
+    errors.push(`${label}: ${describe(setting)}`);
+    return undefined;
+  }
+
+  return String(value);
+}
+
+/**
+ * Parse a setting from its environment form and check it against the schema
+ */
+function validateSetting(setting, raw, label, errors) {
+  switch (setting.type) {
+    case "integer":
+      if (!/^-?\d+$/.test(raw.trim())) {
+        errors.push(`${label}: must be an integer`);
+        return;
+      }
+      return checkValue(Number(raw), setting, label, errors);
+    case "number":
+      if (raw.trim() === "" || !Number.isFinite(Number(raw))) {
+        errors.push(`${label}: must be a number`);
+        return;
+      }
+      return checkValue(Number(raw), setting, label, errors);
+    case "boolean":
+      if (raw !== "true" && raw !== "false") {
+        errors.push(`${label}: must be true or false`);
+      }
+      return;
+    case "file":
+      if (!fs.existsSync(raw)) {
+        errors.push(`${label}: file ${raw} does not exist`);
+      }
+      return;
+    case "json": {
+      let parsed;
+      try {
+        parsed = JSON.parse(raw);
+      } catch (error) {
+        errors.push(`${label}: invalid JSON (${error.message})`);
+        return;
+      }
+      return checkValue(parsed, setting.schema, label, errors);
+    }
+    default:
+      return checkValue(raw, setting, label, errors);
+  }
+}
+
+/**
+ * Check a parsed value against a schema node
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema node with type and constraints
+ * @param {string} label - Setting path for messages
+ * @param {Array<string>} errors - Collects problems
+ */
+function checkValue(value, schema, label, errors) {
+  const fail = () => errors.push(`${label}: ${describe(schema)}`);
+
+  switch (schema.type) {
+    case "string":
+      if (typeof value !== "string") return fail();
+      if (schema.pattern && !schema.pattern.test(value)) return fail();
+      return;
+    case "url":
+      if (typeof value !== "string" || !isHttpUrl(value)) return fail();
+      return;
+    case "integer":
+    case "number":
+      if (
+        typeof value !== "number" ||
+        (schema.type === "integer" && !Number.isInteger(value))
+      ) {
+        return fail();
+      }
+      if (schema.min !== undefined && value < schema.min) {
+        return errors.push(`${label}: must be at least ${schema.min}`);
+      }
+      if (schema.max !== undefined && value > schema.max) {
+        return errors.push(`${label}: must be at most ${schema.max}`);
+      }
+      return;
+    case "boolean":
+      if (typeof value !== "boolean") return fail();
+      return;
+    case "enum":
+      if (!schema.values.includes(value)) return fail();
+      return;
+    case "list": {
+      const items = typeof value === "string" ? [value] : value;
+      if (
+        !Array.isArray(items) ||
+        items.some((item) => typeof item !== "string")
+      ) {
+        return fail();
+      }
+      if (schema.items) {
+        items.forEach((item, index) =>
+          checkValue(
+            item,
+            schema.items,
+            Array.isArray(value) ? `${label}[${index}]` : label,
+            errors
+          )
+        );
+      }
+      return;
+    }
+    case "array":
+      if (!Array.isArray(value)) return fail();
+      value.forEach((item, index) =>
+        checkValue(item, schema.items, `${label}[${index}]`, errors)
+      );
+      return;
+    case "object":
+      return checkObject(value, schema, label, errors);
+    default:
+      return;
+  }
+}
+
+function checkObject(value, schema, label, errors) {
+  if (!isPlainObject(value)) {
+    errors.push(`${label}: ${describe(schema)}`);
+    return;
+  }
+
+  const properties = schema.properties || {};
+  for (const key of schema.required || []) {
+    if (value[key] === undefined) {
+      errors.push(`${label}.${key}: is required`);
+    }
+  }
+
+  for (const [key, item] of Object.entries(value)) {
+    if (properties[key]) {
+      checkValue(item, properties[key], `${label}.${key}`, errors);
+    } else if (isPlainObject(schema.additionalProperties)) {
+      checkValue(item, schema.additionalProperties, `${label}.${key}`, errors);
+    } else if (schema.additionalProperties !== true) {
+      errors.push(
+        `${label}.${key}: is not a known setting${
+          Object.keys(properties).length > 0
+            ? `, expected one of ${Object.keys(properties).join(", ")}`
+            : ""
+        }`
+      );
+    }
+  }
+}
+
+/**
+ * Describe what a schema node accepts, for error messages
+ */
+function describe(schema) {
+  switch (schema.type) {
+    case "url":
+      return "must be an http(s) URL";
+    case "integer":
+      return "must be an integer";
+    case "number":
+      return "must be a number";
+    case "boolean":
+      return "must be true or false";
+    case "enum":
+      return `must be one of ${schema.values.join(", ")}`;
+    case "list":
+      return "must be a string or a list of strings";
+    case "array":
+      return "must be a list";
+    case "object":
+      return "must be a mapping";
+    case "string":
+      return schema.pattern
+        ? `must look like ${schema.example || schema.pattern}`
+        : "must be a string";
+    default:
+      return `must be a ${schema.type}`;
+  }
+}
+
+function isHttpUrl(value) {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+module.exports = {
+  ConfigError,
+  loadConfig,
+  applyConfig,
+  diffConfig,
+  listConfigFiles,
+  watchConfigFiles,
+};
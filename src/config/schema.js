@@ -0,0 +1,489 @@
+/**
+ * Schema of the bridge configuration
+ *
+ * Every setting has an environment variable and, unless it only makes sense
+ * in the environment, a path in the config file. Settings marked `reload`
+ * take effect on a config reload; the others need a restart.
+ *
+ * Value types:
+ * - string, url, integer, number, boolean, file
+ * - enum: one of `values`
+ * - list: comma-separated in the environment, an array in the file
+ * - json: JSON in the environment, a structure in the file, checked
+ *   against `schema`
+ */
+
+// A route or notifier match block, see EventRouter
+const MATCH = {
+  type: "object",
+  properties: {
+    eventTypes: { type: "list" },
+    devices: { type: "list" },
+    triggers: { type: "list" },
+    persons: { type: "list" },
+  },
+};
+
+const ROUTES = {
+  type: "array",
+  items: {
+    type: "object",
+    properties: {
+      name: { type: "string" },
+      match: MATCH,
+      webhooks: { type: "list", items: { type: "url" } },
+      webhook: { type: "url" },
+      mention: { type: "string" },
+    },
+  },
+};
+
+const NOTIFIERS = {
+  type: "array",
+  items: {
+    type: "object",
+    required: ["type"],
+    properties: {
+      type: {
+        type: "enum",
+        values: [
+          "discord",
+          "slack",
+          "teams",
+          "ntfy",
+          "gotify",
+          "email",
+          "webhook",
+        ],
+      },
+      name: { type: "string" },
+      match: MATCH,
+    },
+    // Sinks validate their own options
+    additionalProperties: true,
+  },
+};
+
+const SCHEDULE_RULES = {
+  type: "array",
+  items: {
+    type: "object",
+    properties: {
+      name: { type: "string" },
+      match: MATCH,
+      days: { type: "list" },
+      from: { type: "string", pattern: /^\d{1,2}:\d{2}$/, example: "07:00" },
+      to: { type: "string", pattern: /^\d{1,2}:\d{2}$/, example: "19:00" },
+      action: { type: "enum", values: ["post", "drop", "downgrade"] },
+    },
+  },
+};
+
+// Template contents are checked by MessageTemplates
+const TEMPLATES = {
+  type: "object",
+  properties: {
+    default: { type: "object", additionalProperties: true },
+    eventTypes: {
+      type: "object",
+      additionalProperties: { type: "object", additionalProperties: true },
+    },
+  },
+};
+
+const PROTECT_HOST = {
+  type: "string",
+  pattern: /^(https?:\/\/)?[^\s/]+\/?$/i,
+  example: "192.168.1.80 or http://localhost:7443",
+};
+
+const TLS_MODE = {
+  type: "enum",
+  values: ["verify", "pin", "tofu", "insecure"],
+};
+
+const TLS_FINGERPRINT = {
+  type: "string",
+  pattern: /^([0-9a-f]{2}:?){31}[0-9a-f]{2}$/i,
+  example: "AB:CD:...:EF (SHA-256)",
+};
+
+const CONTROLLERS = {
+  type: "array",
+  items: {
+    type: "object",
+    required: ["name", "host"],
+    properties: {
+      name: {
+        type: "string",
+        pattern: /^[a-z0-9][a-z0-9_-]*$/i,
+        example: "home",
+      },
+      host: PROTECT_HOST,
+      apiKey: { type: "string" },
+      username: { type: "string" },
+      password: { type: "string" },
+      webhookPath: {
+        type: "string",
+        pattern: /^\/[^\s]*$/,
+        example: "/webhook/shop",
+      },
+      webhookToken: { type: "string" },
+      tls: {
+        type: "object",
+        properties: {
+          mode: TLS_MODE,
+          ca: { type: "string" },
+          fingerprint: TLS_FINGERPRINT,
+        },
+      },
+    },
+  },
+};
+
+const THUMBNAIL_MODE = { type: "enum", values: ["animated", "static", "none"] };
+
+const SETTINGS = [
+  // Server
+  { env: "PORT", path: "server.port", type: "integer", min: 1, max: 65535 },
+  {
+    env: "WEBHOOK_PATH",
+    path: "server.webhookPath",
+    type: "string",
+    pattern: /^\//,
+    example: "/webhook/unifi",
+  },
+  {
+    env: "LOG_LEVEL",
+    path: "server.logLevel",
+    type: "enum",
+    values: ["error", "warn", "info", "http", "verbose", "debug", "silly"],
+  },
+  {
+    env: "RATE_LIMIT_WINDOW",
+    path: "server.rateLimit.windowMinutes",
+    type: "number",
+    min: 0,
+  },
+  {
+    env: "RATE_LIMIT_MAX",
+    path: "server.rateLimit.max",
+    type: "integer",
+    min: 1,
+  },
+  {
+    env: "DEBUG_WEBHOOK",
+    path: "server.debugWebhook",
+    type: "boolean",
+    reload: true,
+  },
+  { env: "DRY_RUN", path: "server.dryRun", type: "boolean", reload: true },
+  { env: "CONFIG_FILE", type: "string" },
+  { env: "CONFIG_WATCH", type: "boolean" },
+
+  // Webhook authentication
+  {
+    env: "WEBHOOK_SECRET",
+    path: "webhookAuth.secret",
+    type: "string",
+    reload: true,
+  },
+  {
+    env: "WEBHOOK_AUTH_HEADER",
+    path: "webhookAuth.header",
+    type: "string",
+    reload: true,
+  },
+  {
+    env: "WEBHOOK_SIGNATURE_SECRET",
+    path: "webhookAuth.signatureSecret",
+    type: "string",
+    reload: true,
+  },
+  {
+    env: "WEBHOOK_SIGNATURE_HEADER",
+    path: "webhookAuth.signatureHeader",
+    type: "string",
+    reload: true,
+  },
+  {
+    env: "WEBHOOK_TIMESTAMP_HEADER",
+    path: "webhookAuth.timestampHeader",
+    type: "string",
+    reload: true,
+  },
+  {
+    env: "WEBHOOK_SIGNATURE_TOLERANCE",
+    path: "webhookAuth.signatureToleranceSeconds",
+    type: "number",
+    min: 0,
+    reload: true,
+  },
+
+  // Discord
+  {
+    env: "DISCORD_WEBHOOK_URL",
+    path: "discord.webhookUrl",
+    type: "url",
+    required: true,
+    reload: true,
+  },
+  {
+    env: "DISCORD_MENTION",
+    path: "discord.mention",
+    type: "string",
+    reload: true,
+  },
+  {
+    env: "DISCORD_PUBLIC_KEY",
+    path: "discord.publicKey",
+    type: "string",
+    pattern: /^[0-9a-f]{64}$/i,
+    example: "a 64 character hex key",
+  },
+  {
+    env: "SNOOZE_MINUTES",
+    path: "discord.snoozeMinutes",
+    type: "integer",
+    min: 1,
+  },
+
+  // Protect controller
+  { env: "PROTECT_HOST", path: "protect.host", ...PROTECT_HOST },
+  { env: "PROTECT_API_KEY", path: "protect.apiKey", type: "string" },
+  { env: "PROTECT_USERNAME", path: "protect.username", type: "string" },
+  { env: "PROTECT_PASSWORD", path: "protect.password", type: "string" },
+  { env: "PROTECT_TLS_MODE", path: "protect.tls.mode", ...TLS_MODE },
+  { env: "PROTECT_TLS_CA_FILE", path: "protect.tls.caFile", type: "file" },
+  {
+    env: "PROTECT_TLS_FINGERPRINT",
+    path: "protect.tls.fingerprint",
+    ...TLS_FINGERPRINT,
+  },
+  {
+    env: "PROTECT_TLS_FINGERPRINT_FILE",
+    path: "protect.tls.fingerprintFile",
+    type: "string",
+  },
+  {
+    env: "PROTECT_CONTROLLERS",
+    path: "controllers",
+    type: "json",
+    schema: CONTROLLERS,
+  },
+  { env: "PROTECT_CONTROLLERS_FILE", type: "file" },
+  {
+    env: "PROTECT_WEBSOCKET_ENABLED",
+    path: "protect.websocket.enabled",
+    type: "boolean",
+  },
+  {
+    env: "PROTECT_WEBSOCKET_EVENT_TYPES",
+    path: "protect.websocket.eventTypes",
+    type: "list",
+  },
+  {
+    env: "PROTECT_WEBSOCKET_MAX_BACKOFF_SECONDS",
+    path: "protect.websocket.maxBackoffSeconds",
+    type: "number",
+    min: 1,
+  },
+  {
+    env: "PROTECT_POLLING_ENABLED",
+    path: "protect.polling.enabled",
+    type: "boolean",
+  },
+  {
+    env: "PROTECT_POLL_INTERVAL_SECONDS",
+    path: "protect.polling.intervalSeconds",
+    type: "number",
+    min: 1,
+  },
+  {
+    env: "PROTECT_POLL_EVENT_TYPES",
+    path: "protect.polling.eventTypes",
+    type: "list",
+  },
+  {
+    env: "PROTECT_POLL_CURSOR_FILE",
+    path: "protect.polling.cursorFile",
+    type: "string",
+  },
+  {
+    env: "PROTECT_POLL_LOOKBACK_SECONDS",
+    path: "protect.polling.lookbackSeconds",
+    type: "number",
+    min: 0,
+  },
+
+  // Routing, sinks, rules and templates
+  {
+    env: "DISCORD_ROUTES",
+    path: "routes",
+    type: "json",
+    schema: ROUTES,
+    reload: true,
+  },
+  { env: "DISCORD_ROUTES_FILE", type: "file", reload: true },
+  {
+    env: "NOTIFIERS",
+    path: "notifiers",
+    type: "json",
+    schema: NOTIFIERS,
+    reload: true,
+  },
+  { env: "NOTIFIERS_FILE", type: "file", reload: true },
+  {
+    env: "SCHEDULE_RULES",
+    path: "schedule.rules",
+    type: "json",
+    schema: SCHEDULE_RULES,
+    reload: true,
+  },
+  { env: "SCHEDULE_RULES_FILE", type: "file", reload: true },
+  {
+    env: "SCHEDULE_TIMEZONE",
+    path: "schedule.timezone",
+    type: "string",
+    reload: true,
+  },
+  {
+    env: "TEMPLATES",
+    path: "templates",
+    type: "json",
+    schema: TEMPLATES,
+    reload: true,
+  },
+  { env: "TEMPLATES_FILE", type: "file", reload: true },
+
+  // Thumbnails and clips
+  {
+    env: "THUMBNAIL_MODE",
+    path: "thumbnails.mode",
+    ...THUMBNAIL_MODE,
+    reload: true,
+  },
+  {
+    env: "THUMBNAIL_MODES",
+    path: "thumbnails.modes",
+    type: "json",
+    schema: { type: "object", additionalProperties: THUMBNAIL_MODE },
+    reload: true,
+  },
+  {
+    env: "THUMBNAIL_MAX_BYTES",
+    path: "thumbnails.maxBytes",
+    type: "integer",
+    min: 1,
+  },
+  { env: "CLIP_EVENT_TYPES", path: "clips.eventTypes", type: "list" },
+  {
+    env: "CLIP_PRE_ROLL_SECONDS",
+    path: "clips.preRollSeconds",
+    type: "number",
+    min: 0,
+  },
+  {
+    env: "CLIP_POST_ROLL_SECONDS",
+    path: "clips.postRollSeconds",
+    type: "number",
+    min: 0,
+  },
+  { env: "CLIP_MAX_SECONDS", path: "clips.maxSeconds", type: "number", min: 1 },
+  { env: "CLIP_MAX_BYTES", path: "clips.maxBytes", type: "integer", min: 1 },
+  {
+    env: "CLIP_MAX_WAIT_SECONDS",
+    path: "clips.maxWaitSeconds",
+    type: "number",
+    min: 0,
+  },
+  {
+    env: "EVENT_UPDATES_ENABLED",
+    path: "eventUpdates.enabled",
+    type: "boolean",
+  },
+  {
+    env: "EVENT_UPDATE_MAX_WAIT_SECONDS",
+    path: "eventUpdates.maxWaitSeconds",
+    type: "number",
+    min: 1,
+  },
+  {
+    env: "EVENT_UPDATE_POLL_SECONDS",
+    path: "eventUpdates.pollSeconds",
+    type: "number",
+    min: 1,
+  },
+
+  // Suppression and aggregation
+  { env: "COOLDOWN_SECONDS", path: "cooldown.seconds", type: "number", min: 0 },
+  {
+    env: "COOLDOWN_EVENT_TYPES",
+    path: "cooldown.eventTypes",
+    type: "json",
+    schema: {
+      type: "object",
+      additionalProperties: { type: "number", min: 0 },
+    },
+  },
+  { env: "COOLDOWN_PER_PERSON", path: "cooldown.perPerson", type: "boolean" },
+  {
+    env: "COOLDOWN_MODE",
+    path: "cooldown.mode",
+    type: "enum",
+    values: ["drop", "count"],
+  },
+  {
+    env: "AGGREGATION_WINDOW_SECONDS",
+    path: "aggregation.windowSeconds",
+    type: "number",
+    min: 0,
+  },
+
+  // Storage
+  { env: "QUEUE_ENABLED", path: "queue.enabled", type: "boolean" },
+  { env: "QUEUE_DIR", path: "queue.dir", type: "string" },
+  {
+    env: "QUEUE_MAX_ATTEMPTS",
+    path: "queue.maxAttempts",
+    type: "integer",
+    min: 1,
+  },
+  {
+    env: "QUEUE_BASE_DELAY",
+    path: "queue.baseDelaySeconds",
+    type: "number",
+    min: 0,
+  },
+  {
+    env: "QUEUE_MAX_DELAY",
+    path: "queue.maxDelaySeconds",
+    type: "number",
+    min: 0,
+  },
+  { env: "HISTORY_ENABLED", path: "history.enabled", type: "boolean" },
+  { env: "HISTORY_FILE", path: "history.file", type: "string" },
+  {
+    env: "HISTORY_MAX_EVENTS",
+    path: "history.maxEvents",
+    type: "integer",
+    min: 1,
+  },
+
+  // Device names
+  { env: "DEVICE_DIRECTORY_ENABLED", path: "devices.enabled", type: "boolean" },
+  {
+    env: "DEVICE_CACHE_TTL_SECONDS",
+    path: "devices.cacheTtlSeconds",
+    type: "number",
+    min: 1,
+  },
+  {
+    env: "DEVICE_ROOMS",
+    path: "devices.rooms",
+    type: "json",
+    schema: { type: "object", additionalProperties: { type: "string" } },
+  },
+];
+
+module.exports = { SETTINGS };
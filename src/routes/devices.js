@@ -0,0 +1,63 @@
+const express = require("express");
+const { createRequestLogger } = require("../utils/logger");
+
+const router = express.Router();
+
+/**
+ * Reject requests when the device directory is disabled
+ */
+function requireDirectory(req, res, next) {
+  if (!req.app.locals.deviceDirectory) {
+    return res.status(404).json({
+      error: "Not found",
+      message: "Device directory is disabled",
+    });
+  }
+
+  next();
+}
+
+/**
+ * List cached Protect devices
+ * GET /devices
+ */
+router.get("/", requireDirectory, (req, res) => {
+  const deviceDirectory = req.app.locals.deviceDirectory;
+
+  res.status(200).json({
+    loadedAt: deviceDirectory.loadedAt
+      ? new Date(deviceDirectory.loadedAt).toISOString()
+      : null,
+    count: deviceDirectory.devices.size,
+    devices: deviceDirectory.list(),
+  });
+});
+
+/**
+ * Reload the device list from the Protect bootstrap
+ * POST /devices/refresh
+ */
+router.post("/refresh", requireDirectory, async (req, res) => {
+  const logger = createRequestLogger(req.app.locals.logger, "device_refresh");
+
+  try {
+    const count = await req.app.locals.deviceDirectory.refresh();
+
+    res.status(200).json({
+      success: true,
+      message: "Device list refreshed",
+      count,
+    });
+  } catch (error) {
+    logger.error("Failed to refresh Protect devices", {
+      error: error.message,
+    });
+
+    res.status(502).json({
+      error: "Bad gateway",
+      message: "Failed to load the Protect bootstrap",
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,92 @@
+const express = require("express");
+
+const router = express.Router();
+
+const MAX_LIMIT = 1000;
+
+/**
+ * Parse a time filter given as ISO 8601 or epoch milliseconds
+ * @param {string} value - Query parameter value
+ * @returns {number|null|undefined} Epoch ms, null if invalid, undefined if absent
+ */
+function parseTime(value) {
+  if (value === undefined || value === "") {
+    return undefined;
+  }
+
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * Reject requests when the event history is disabled
+ */
+function requireHistory(req, res, next) {
+  if (!req.app.locals.eventHistory) {
+    return res.status(404).json({
+      error: "Not found",
+      message: "Event history is disabled",
+    });
+  }
+
+  next();
+}
+
+/**
+ * Query stored events, newest first
+ * GET /events?from=&to=&camera=&type=&person=&limit=
+ */
+router.get("/", requireHistory, (req, res) => {
+  // Repeated parameters are parsed as arrays
+  const repeated = ["from", "to", "limit", "camera", "type", "person"].filter(
+    (key) => req.query[key] !== undefined && typeof req.query[key] !== "string"
+  );
+
+  if (repeated.length > 0) {
+    return res.status(400).json({
+      error: "Invalid request",
+      details: repeated.map((key) => `${key} must be a single value`),
+    });
+  }
+
+  const from = parseTime(req.query.from);
+  const to = parseTime(req.query.to);
+  const limit = parseInt(req.query.limit, 10) || 100;
+
+  if (from === null || to === null) {
+    return res.status(400).json({
+      error: "Invalid request",
+      details: ["from and to must be ISO 8601 dates or epoch milliseconds"],
+    });
+  }
+
+  const events = req.app.locals.eventHistory.query({
+    from,
+    to,
+    camera: req.query.camera,
+    type: req.query.type,
+    person: req.query.person,
+    limit: Math.min(Math.max(limit, 1), MAX_LIMIT),
+  });
+
+  res.status(200).json({ count: events.length, events });
+});
+
+/**
+ * Get a single stored event
+ * GET /events/:id
+ */
+router.get("/:id", requireHistory, (req, res) => {
+  const event = req.app.locals.eventHistory.get(req.params.id);
+
+  if (!event) {
+    return res.status(404).json({
+      error: "Not found",
+      message: "No event with that ID",
+    });
+  }
+
+  res.status(200).json(event);
+});
+
+module.exports = router;
@@ -0,0 +1,53 @@
+const express = require("express");
+const { createRequestLogger } = require("../utils/logger");
+const metrics = require("../utils/metrics");
+
+const router = express.Router();
+
+/**
+ * Reject interactions without a valid Discord signature. Discord checks that
+ * the endpoint does this before accepting it.
+ */
+function requireDiscordSignature(req, res, next) {
+  const result = req.app.locals.discordVerifier(req);
+
+  if (!result.isAuthenticated) {
+    metrics.validationFailures.inc({ reason: "interaction_signature" });
+    const logger = createRequestLogger(req.app.locals.logger, "interaction");
+    logger.warn("Rejected Discord interaction", {
+      errors: result.errors,
+      ip: req.ip,
+    });
+
+    return res.status(401).json({
+      error: "Unauthorized",
+      details: result.errors,
+    });
+  }
+
+  next();
+}
+
+/**
+ * Receive button presses and slash commands from Discord
+ * POST /discord/interactions
+ */
+router.post("/", requireDiscordSignature, (req, res) => {
+  const logger = createRequestLogger(req.app.locals.logger, "interaction");
+
+  try {
+    res.status(200).json(req.app.locals.interactionHandler.handle(req.body));
+  } catch (error) {
+    logger.error("Failed to handle Discord interaction", {
+      error: error.message,
+      type: req.body?.type,
+    });
+
+    res.status(500).json({
+      error: "Internal server error",
+      message: "Failed to handle interaction",
+    });
+  }
+});
+
+module.exports = router;
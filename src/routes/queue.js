@@ -0,0 +1,55 @@
+const express = require("express");
+const { createRequestLogger } = require("../utils/logger");
+
+const router = express.Router();
+
+/**
+ * List pending and dead-lettered deliveries
+ * GET /webhook/unifi/queue
+ */
+router.get("/", (req, res) => {
+  const deliveryQueue = req.app.locals.deliveryQueue;
+
+  if (!deliveryQueue) {
+    return res.status(404).json({
+      error: "Not found",
+      message: "Delivery queue is disabled",
+    });
+  }
+
+  res.status(200).json(deliveryQueue.list());
+});
+
+/**
+ * Manually retry a dead-lettered delivery
+ * POST /webhook/unifi/queue/dead/:id/retry
+ */
+router.post("/dead/:id/retry", (req, res) => {
+  const logger = createRequestLogger(req.app.locals.logger, "queue_retry");
+  const deliveryQueue = req.app.locals.deliveryQueue;
+
+  if (!deliveryQueue) {
+    return res.status(404).json({
+      error: "Not found",
+      message: "Delivery queue is disabled",
+    });
+  }
+
+  const entry = deliveryQueue.retryDead(req.params.id);
+
+  if (!entry) {
+    logger.warn("Dead-lettered delivery not found", { id: req.params.id });
+    return res.status(404).json({
+      error: "Not found",
+      message: "No dead-lettered delivery with that ID",
+    });
+  }
+
+  res.status(202).json({
+    success: true,
+    message: "Delivery requeued",
+    delivery: entry,
+  });
+});
+
+module.exports = router;
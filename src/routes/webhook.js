@@ -6,6 +6,8 @@ const {
   generateRequestId,
 } = require("../utils/validator");
 const { createRequestLogger } = require("../utils/logger");
+const { requireWebhookAuth } = require("../utils/auth");
+const metrics = require("../utils/metrics");
 const DiscordService = require("../services/discord");
 
 const router = express.Router();
@@ -49,109 +51,302 @@ const requestLoggingMiddleware = (req, res, next) => {
 };
 
 /**
- * Webhook endpoint for Unifi Protect
- * POST /webhook/unifi
+ * Controller token middleware, ties the request to the controller whose
+ * webhook token is the last path segment. Such a token authenticates the
+ * request on its own.
  */
-router.post(
-  "/",
-  webhookRateLimit,
-  requestIdMiddleware,
-  requestLoggingMiddleware,
-  async (req, res) => {
-    const logger = createRequestLogger(req.app.locals.logger, req.requestId);
-    const discordService = req.app.locals.discordService;
-
-    try {
-      logger.info("Processing webhook request");
-
-      // Log key webhook fields for debugging
-      logger.info("Webhook structure", {
-        bodyKeys: Object.keys(req.body || {}),
-        alarmKeys: req.body.alarm ? Object.keys(req.body.alarm) : [],
-        conditionsCount: req.body.alarm?.conditions?.length || 0,
-        triggersCount: req.body.alarm?.triggers?.length || 0,
-        hasAlarmId: req.body.alarm?.id !== undefined,
-        hasEventId: req.body.eventId !== undefined,
-        hasId: req.body.id !== undefined,
-        // Check for potential ID fields in triggers
-        triggerIds:
-          req.body.alarm?.triggers?.map((t) => ({
-            device: t.device,
-            key: t.key,
-            id: t.id,
-          })) || [],
-        // Check for potential ID fields in conditions
-        conditionIds:
-          req.body.alarm?.conditions?.map((c) => ({
-            id: c.id,
-            conditionId: c.condition?.id,
-          })) || [],
+const controllerTokenMiddleware = (req, res, next) => {
+  const controller = req.app.locals.controllers?.findByToken(req.params.token);
+
+  if (controller) {
+    req.controller = controller.name;
+    req.authMethod = "controller-token";
+  }
+
+  next();
+};
+
+/**
+ * Validate and sanitize a webhook body, answering 400 if it is invalid
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} logger - Logger for the request
+ * @returns {Object|null} Sanitized event data, or null once the error
+ *   response is sent
+ */
+const readWebhookBody = (req, res, logger) => {
+  // Log key webhook fields for debugging
+  logger.info("Webhook structure", {
+    bodyKeys: Object.keys(req.body || {}),
+    alarmKeys: req.body.alarm ? Object.keys(req.body.alarm) : [],
+    conditionsCount: req.body.alarm?.conditions?.length || 0,
+    triggersCount: req.body.alarm?.triggers?.length || 0,
+    hasAlarmId: req.body.alarm?.id !== undefined,
+    hasEventId: req.body.eventId !== undefined,
+    hasId: req.body.id !== undefined,
+    // Check for potential ID fields in triggers
+    triggerIds:
+      req.body.alarm?.triggers?.map((t) => ({
+        device: t.device,
+        key: t.key,
+        id: t.id,
+      })) || [],
+    // Check for potential ID fields in conditions
+    conditionIds:
+      req.body.alarm?.conditions?.map((c) => ({
+        id: c.id,
+        conditionId: c.condition?.id,
+      })) || [],
+  });
+
+  // Log the entire webhook payload for debugging
+  if (process.env.DEBUG_WEBHOOK === "true") {
+    logger.info("Full webhook payload (DEBUG)", {
+      body: JSON.stringify(req.body, null, 2),
+      bodyType: typeof req.body,
+      bodyKeys: Object.keys(req.body || {}),
+      alarmKeys: req.body.alarm ? Object.keys(req.body.alarm) : [],
+      conditionsCount: req.body.alarm?.conditions?.length || 0,
+      triggersCount: req.body.alarm?.triggers?.length || 0,
+    });
+  }
+
+  // Validate request body
+  const validation = validateWebhookRequest(req.body);
+
+  if (!validation.isValid) {
+    metrics.validationFailures.inc({ reason: "validation" });
+    logger.warn("Invalid webhook request", { errors: validation.errors });
+    res.status(400).json({
+      error: "Invalid request",
+      details: validation.errors,
+    });
+    return null;
+  }
+
+  // Sanitize the data
+  const sanitizedData = sanitizeData(req.body);
+
+  // The controller comes from the webhook path or token, never the body
+  sanitizedData.controller = req.controller || null;
+
+  logger.info("Webhook data validated and sanitized", {
+    alarmName: sanitizedData.alarm?.name,
+    controller: sanitizedData.controller,
+    eventType: sanitizedData.alarm?.conditions?.[0]?.condition?.source,
+    deviceCount: sanitizedData.alarm?.triggers?.length || 0,
+  });
+
+  return sanitizedData;
+};
+
+/**
+ * Handle a Unifi Protect alarm webhook
+ */
+const handleWebhook = async (req, res) => {
+  const logger = createRequestLogger(req.app.locals.logger, req.requestId);
+  const discordService = req.app.locals.discordService;
+
+  try {
+    logger.info("Processing webhook request");
+
+    const sanitizedData = readWebhookBody(req, res, logger);
+    if (!sanitizedData) return;
+
+    metrics.webhooksReceived.inc({
+      event_type: discordService.extractEventType(sanitizedData.alarm),
+      camera: sanitizedData.alarm.triggers?.[0]?.device || "unknown",
+    });
+
+    // Process and send to Discord
+    const result = await discordService.processAndSend(
+      sanitizedData,
+      req.requestId
+    );
+
+    if (result.dryRun) {
+      logger.info("Webhook processed in dry-run mode, nothing delivered");
+
+      return res.status(200).json({
+        success: true,
+        message: "Dry run, nothing was sent",
+        dryRun: true,
+        preview: result.preview,
       });
+    }
+
+    if (result.snoozed) {
+      logger.info("Webhook processed, camera snoozed");
+
+      return res.status(200).json({
+        success: true,
+        message: "Camera snoozed",
+        eventId: result.historyId,
+        suppressed: true,
+        snooze: {
+          camera: result.snooze.name,
+          until: new Date(result.snooze.until).toISOString(),
+        },
+      });
+    }
 
-      // Log the entire webhook payload for debugging
-      if (process.env.DEBUG_WEBHOOK === "true") {
-        logger.info("Full webhook payload (DEBUG)", {
-          body: JSON.stringify(req.body, null, 2),
-          bodyType: typeof req.body,
-          bodyKeys: Object.keys(req.body || {}),
-          alarmKeys: req.body.alarm ? Object.keys(req.body.alarm) : [],
-          conditionsCount: req.body.alarm?.conditions?.length || 0,
-          triggersCount: req.body.alarm?.triggers?.length || 0,
-        });
-      }
-
-      // Validate request body
-      const validation = validateWebhookRequest(
-        req.body,
-        process.env.WEBHOOK_SECRET
-      );
-
-      if (!validation.isValid) {
-        logger.warn("Invalid webhook request", { errors: validation.errors });
-        return res.status(400).json({
-          error: "Invalid request",
-          details: validation.errors,
-        });
-      }
-
-      // Sanitize the data
-      const sanitizedData = sanitizeData(req.body);
-
-      logger.info("Webhook data validated and sanitized", {
-        alarmName: sanitizedData.alarm?.name,
-        eventType: sanitizedData.alarm?.conditions?.[0]?.condition?.source,
-        deviceCount: sanitizedData.alarm?.triggers?.length || 0,
+    if (result.suppressed) {
+      logger.info("Webhook processed, event suppressed by cooldown");
+
+      return res.status(200).json({
+        success: true,
+        message: "Event suppressed by cooldown",
+        eventId: result.historyId,
+        suppressed: true,
+        cooldown: {
+          key: result.cooldown.key,
+          suppressedCount: result.cooldown.suppressedCount,
+          remainingSeconds: Math.ceil(result.cooldown.remainingMs / 1000),
+        },
       });
+    }
 
-      // Process and send to Discord
-      const result = await discordService.processAndSend(
-        sanitizedData,
-        req.requestId
-      );
+    if (result.dropped) {
+      logger.info("Webhook processed, event dropped by schedule");
+
+      return res.status(200).json({
+        success: true,
+        message: "Event dropped by schedule",
+        eventId: result.historyId,
+        suppressed: false,
+        dropped: true,
+        schedule: result.schedule,
+      });
+    }
 
-      logger.info("Webhook processed successfully");
+    if (result.deferred) {
+      logger.info("Webhook processed, delivery waits for the event clip");
 
-      res.status(200).json({
+      return res.status(202).json({
         success: true,
-        message: "Webhook processed successfully",
-        discordMessageId: result.id,
+        message: "Event accepted, delivery waits for the event clip",
+        eventId: result.historyId,
+        suppressed: false,
+        deferred: true,
       });
-    } catch (error) {
-      logger.error("Error processing webhook", {
-        error: error.message,
-        stack: error.stack,
+    }
+
+    if (result.aggregated) {
+      logger.info("Webhook processed, event buffered for digest");
+
+      return res.status(202).json({
+        success: true,
+        message: "Event buffered for digest",
+        eventId: result.historyId,
+        suppressed: false,
+        digests: result.digests,
       });
+    }
+
+    if (result.delivered === 0) {
+      logger.warn("Webhook accepted, Discord delivery queued for retry");
 
-      res.status(500).json({
-        error: "Internal server error",
-        message: "Failed to process webhook",
+      return res.status(202).json({
+        success: true,
+        message: "Discord delivery failed and was queued for retry",
+        eventId: result.historyId,
+        suppressed: false,
+        deliveries: result.deliveries,
       });
     }
+
+    logger.info("Webhook processed successfully");
+
+    res.status(200).json({
+      success: true,
+      message: "Webhook processed successfully",
+      eventId: result.historyId,
+      suppressed: false,
+      downgraded: result.downgraded,
+      discordMessageId: result.id,
+      deliveries: result.deliveries,
+      notifiers: result.notifiers,
+    });
+  } catch (error) {
+    logger.error("Error processing webhook", {
+      error: error.message,
+      stack: error.stack,
+    });
+
+    res.status(500).json({
+      error: "Internal server error",
+      message: "Failed to process webhook",
+    });
   }
+};
+
+/**
+ * Render the Discord payload for an alarm webhook without sending it
+ */
+const handlePreview = (req, res) => {
+  const logger = createRequestLogger(req.app.locals.logger, req.requestId);
+  const discordService = req.app.locals.discordService;
+
+  try {
+    logger.info("Previewing webhook request");
+
+    const sanitizedData = readWebhookBody(req, res, logger);
+    if (!sanitizedData) return;
+
+    const preview = discordService.preview(sanitizedData);
+
+    logger.info("Webhook preview rendered", {
+      action: preview.action,
+      routes: preview.destinations.map((destination) => destination.route),
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Preview rendered, nothing was sent",
+      dryRun: true,
+      preview,
+    });
+  } catch (error) {
+    logger.error("Error previewing webhook", {
+      error: error.message,
+      stack: error.stack,
+    });
+
+    res.status(500).json({
+      error: "Internal server error",
+      message: "Failed to preview webhook",
+    });
+  }
+};
+
+/**
+ * Webhook endpoint for Unifi Protect
+ * POST /webhook/unifi
+ */
+router.post(
+  "/",
+  webhookRateLimit,
+  requestIdMiddleware,
+  requestLoggingMiddleware,
+  requireWebhookAuth,
+  handleWebhook
 );
 
 /**
- * Health check endpoint
+ * Preview endpoint, takes the same body and credentials as the webhook
+ * POST /webhook/unifi/preview
+ */
+router.post(
+  "/preview",
+  webhookRateLimit,
+  requestIdMiddleware,
+  requestLoggingMiddleware,
+  requireWebhookAuth,
+  handlePreview
+);
+
+/**
+ * Health check endpoint, with how each Protect controller is authenticated
  * GET /webhook/health
  */
 router.get("/health", (req, res) => {
@@ -167,7 +362,31 @@ router.get("/health", (req, res) => {
     timestamp: new Date().toISOString(),
     service: "unifi-discord-bridge",
     version: process.env.npm_package_version || "1.0.0",
+    protect: (req.app.locals.controllers?.list() || []).map(
+      ({ name, protect }) => ({
+        controller: name,
+        auth: protect.getAuthMethod(),
+        // Events, clips and polling still use the session with an API key
+        sessionFallback: !!protect.apiKey && protect.hasSession(),
+        tls: protect.tlsMode,
+      })
+    ),
   });
 });
 
+/**
+ * Webhook endpoint with the secret or a controller's webhook token as the
+ * last path segment, for Alarm Manager setups that cannot send headers
+ * POST /webhook/unifi/:token
+ */
+router.post(
+  "/:token",
+  webhookRateLimit,
+  requestIdMiddleware,
+  requestLoggingMiddleware,
+  controllerTokenMiddleware,
+  requireWebhookAuth,
+  handleWebhook
+);
+
 module.exports = router;
@@ -0,0 +1,86 @@
+const { createLogger } = require("../utils/logger");
+
+const logger = createLogger();
+
+/**
+ * Buffers events for a short window and flushes them as one batch
+ *
+ * The first event for a key opens the window; every event added for that key
+ * before the window closes is flushed together.
+ */
+class EventAggregator {
+  /**
+   * @param {Object} options - Aggregator options
+   * @param {number} options.windowMs - How long to buffer events
+   * @param {Function} options.onFlush - Async handler called with (key, items)
+   */
+  constructor(options = {}) {
+    this.windowMs = options.windowMs;
+    this.onFlush = options.onFlush;
+    this.buffers = new Map();
+    this.logger = logger.child({ service: "aggregator" });
+  }
+
+  /**
+   * Add an item to the buffer for a key
+   * @param {string} key - Buffer key, e.g. the destination webhook URL
+   * @param {Object} item - Item to buffer
+   * @returns {Object} Digest ID, buffered count and flush time
+   */
+  add(key, item) {
+    let buffer = this.buffers.get(key);
+
+    if (!buffer) {
+      buffer = {
+        id: `dig_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        items: [],
+        flushAt: Date.now() + this.windowMs,
+      };
+      buffer.timer = setTimeout(() => this.flush(key), this.windowMs);
+      this.buffers.set(key, buffer);
+    }
+
+    buffer.items.push(item);
+
+    return {
+      digestId: buffer.id,
+      bufferedEvents: buffer.items.length,
+      flushAt: new Date(buffer.flushAt).toISOString(),
+    };
+  }
+
+  /**
+   * Flush the buffer for a key
+   * @param {string} key - Buffer key
+   * @returns {Promise<void>}
+   */
+  async flush(key) {
+    const buffer = this.buffers.get(key);
+    if (!buffer) {
+      return;
+    }
+
+    clearTimeout(buffer.timer);
+    this.buffers.delete(key);
+
+    try {
+      await this.onFlush(key, buffer.items, buffer.id);
+    } catch (error) {
+      this.logger.error("Failed to flush event digest", {
+        digestId: buffer.id,
+        events: buffer.items.length,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Flush every open buffer, e.g. before shutting down
+   * @returns {Promise<void>}
+   */
+  async flushAll() {
+    await Promise.all([...this.buffers.keys()].map((key) => this.flush(key)));
+  }
+}
+
+module.exports = EventAggregator;
@@ -0,0 +1,139 @@
+const metrics = require("../utils/metrics");
+
+/**
+ * Downloads MP4 clips of events through Protect's video export API
+ *
+ * Protect only knows an event's end once it is over, so the exporter polls
+ * the event until it ends, adds pre- and post-roll, caps the length and
+ * waits for the post-roll to be recorded before exporting.
+ */
+class ClipExporter {
+  /**
+   * @param {Object} options - Clip options
+   * @param {ProtectClient} options.protect - Default Protect client
+   * @param {Array<string>} options.eventTypes - Event types that get clips,
+   *   or ["*"] for all
+   * @param {number} options.preRollMs - Time included before the event
+   * @param {number} options.postRollMs - Time included after the event
+   * @param {number} options.maxDurationMs - Longest clip exported
+   * @param {number} options.maxBytes - Largest clip uploaded
+   * @param {number} options.maxWaitMs - How long to wait for the event to end
+   * @param {number} options.pollIntervalMs - How often to check the event
+   */
+  constructor(options = {}) {
+    this.protect = options.protect;
+    this.eventTypes = (options.eventTypes || []).map((type) =>
+      type.toLowerCase()
+    );
+    this.preRollMs = options.preRollMs ?? 2000;
+    this.postRollMs = options.postRollMs ?? 2000;
+    this.maxDurationMs = options.maxDurationMs || 30000;
+    this.maxBytes = options.maxBytes;
+    this.maxWaitMs = options.maxWaitMs || 120000;
+    this.pollIntervalMs = options.pollIntervalMs || 2000;
+  }
+
+  /**
+   * Check whether events of a type get a clip
+   * @param {string} eventType - Event type
+   * @param {ProtectClient} protect - Client of the event's controller
+   * @returns {boolean} True if clips are enabled for the type
+   */
+  appliesTo(eventType, protect = this.protect) {
+    if (!protect || !protect.hasSession()) {
+      return false;
+    }
+
+    return (
+      this.eventTypes.includes("*") ||
+      this.eventTypes.includes(String(eventType).toLowerCase())
+    );
+  }
+
+  /**
+   * Export the clip of an event
+   * @param {string} eventId - Event ID
+   * @param {Object} requestLogger - Logger for the request
+   * @param {ProtectClient} protect - Client of the event's controller
+   * @returns {Promise<Object|null>} Clip with buffer, filename, content type,
+   *   mode and Protect path, or null if unavailable or too large
+   */
+  async fetch(eventId, requestLogger, protect = this.protect) {
+    try {
+      const event = await protect.waitForEventEnd(eventId, {
+        maxWaitMs: this.maxWaitMs,
+        pollIntervalMs: this.pollIntervalMs,
+      });
+
+      if (!event.end) {
+        requestLogger.warn("Event still running, exporting clip so far", {
+          eventId,
+          maxWaitMs: this.maxWaitMs,
+        });
+      }
+
+      const start = event.start - this.preRollMs;
+      const end = Math.min(
+        (event.end || Date.now()) + this.postRollMs,
+        start + this.maxDurationMs
+      );
+
+      // The post-roll has to be recorded before it can be exported
+      const pending = end - Date.now();
+      if (pending > 0) {
+        await sleep(pending);
+      }
+
+      requestLogger.info("Exporting event clip", {
+        eventId,
+        camera: event.camera,
+        durationMs: end - start,
+      });
+
+      // The download stops as soon as the clip can't be uploaded
+      const buffer = await protect.exportVideo({
+        camera: event.camera,
+        start,
+        end,
+        maxBytes: this.maxBytes,
+      });
+
+      metrics.clipExports.inc({ result: "success" });
+      requestLogger.info("Successfully exported event clip", {
+        eventId,
+        size: buffer.length,
+      });
+
+      return {
+        buffer,
+        filename: `clip-${eventId}.mp4`,
+        contentType: "video/mp4",
+        mode: "clip",
+        path: `/proxy/protect/api/video/export?camera=${event.camera}&start=${start}&end=${end}`,
+      };
+    } catch (error) {
+      if (error.tooLarge) {
+        metrics.clipExports.inc({ result: "too_large" });
+        requestLogger.warn("Clip exceeds Discord upload limit", {
+          eventId,
+          maxBytes: this.maxBytes,
+        });
+        return null;
+      }
+
+      metrics.clipExports.inc({ result: "failure" });
+      requestLogger.error("Failed to export event clip", {
+        eventId,
+        error: error.message,
+        statusCode: error.response?.status,
+      });
+      return null;
+    }
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = ClipExporter;
@@ -0,0 +1,171 @@
+const fs = require("fs");
+const ProtectClient = require("./protect");
+const { safeCompare } = require("../utils/auth");
+
+// Controller names end up in URLs, cursor file names and embeds
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+/**
+ * The Protect controllers (UniFi OS consoles or NVRs) events come from
+ *
+ * Each controller is configured as { name, host, apiKey, username,
+ * password, tls, webhookPath, webhookToken } and gets its own Protect
+ * client. Alarm Manager webhooks are tied to a controller by the path or
+ * token they are posted to; events without one belong to the controller
+ * whose bootstrap lists the camera, or to the first controller.
+ */
+class ProtectControllers {
+  /**
+   * @param {Array<Object>} configs - Controller configurations, see
+   *   loadControllers
+   * @param {Object} options - Client options
+   * @param {winston.Logger} options.logger - Logger for the Protect clients
+   * @param {string} options.fingerprintFile - Certificate fingerprints
+   *   recorded on first use, shared by the controllers
+   * @throws {Error} If a name, path or token is missing, invalid or used
+   *   twice, a CA file can't be read or the TLS settings are invalid
+   */
+  constructor(configs = [], options = {}) {
+    if (configs.length === 0) {
+      throw new Error("At least one controller is required");
+    }
+
+    this.controllers = configs.map((config, index) => {
+      if (!NAME_PATTERN.test(config.name || "")) {
+        throw new Error(
+          `Controller ${index} needs a name of letters, digits, - and _`
+        );
+      }
+
+      return {
+        name: config.name,
+        webhookPath: config.webhookPath || null,
+        webhookToken: config.webhookToken || null,
+        protect: new ProtectClient({
+          name: config.name,
+          host: config.host,
+          apiKey: config.apiKey,
+          username: config.username,
+          password: config.password,
+          tls: {
+            mode: config.tls?.mode,
+            ca: config.tls?.ca
+              ? fs.readFileSync(config.tls.ca, "utf8")
+              : undefined,
+            fingerprint: config.tls?.fingerprint,
+            fingerprintFile: options.fingerprintFile,
+          },
+          logger: options.logger,
+        }),
+      };
+    });
+
+    for (const key of ["name", "webhookPath", "webhookToken"]) {
+      const values = this.controllers
+        .map((controller) => controller[key])
+        .filter(Boolean);
+      const duplicate = values.find(
+        (value, index) => values.indexOf(value) !== index
+      );
+
+      if (duplicate) {
+        throw new Error(`Controller ${key} "${duplicate}" is used twice`);
+      }
+    }
+
+    this.default = this.controllers[0];
+  }
+
+  /**
+   * Look up a controller by name
+   * @param {string} name - Controller name
+   * @returns {Object|null} Controller with name, protect client, webhook
+   *   path and token
+   */
+  get(name) {
+    return (
+      this.controllers.find((controller) => controller.name === name) || null
+    );
+  }
+
+  /**
+   * List every controller, in configuration order
+   * @returns {Array<Object>} Controllers
+   */
+  list() {
+    return this.controllers;
+  }
+
+  /**
+   * List the controllers with credentials, which can serve thumbnails,
+   * devices and events
+   * @returns {Array<Object>} Controllers
+   */
+  listConfigured() {
+    return this.controllers.filter((controller) =>
+      controller.protect.isConfigured()
+    );
+  }
+
+  /**
+   * Find the controller a webhook token belongs to
+   * @param {string} token - Token from the webhook URL
+   * @returns {Object|null} Controller, compared in constant time
+   */
+  findByToken(token) {
+    if (!token) return null;
+
+    return (
+      this.controllers.find(
+        (controller) =>
+          controller.webhookToken && safeCompare(token, controller.webhookToken)
+      ) || null
+    );
+  }
+}
+
+/**
+ * Load the controllers from PROTECT_CONTROLLERS (JSON) or
+ * PROTECT_CONTROLLERS_FILE, falling back to a single controller named
+ * "default" from PROTECT_HOST, PROTECT_API_KEY, PROTECT_USERNAME,
+ * PROTECT_PASSWORD and the PROTECT_TLS_* settings
+ * @param {Object} env - Environment variables
+ * @returns {Array<Object>} Controller configurations
+ * @throws {Error} If the configuration is not a JSON array of controllers
+ */
+function loadControllers(env = process.env) {
+  let raw = env.PROTECT_CONTROLLERS;
+
+  if (!raw && env.PROTECT_CONTROLLERS_FILE) {
+    raw = fs.readFileSync(env.PROTECT_CONTROLLERS_FILE, "utf8");
+  }
+
+  if (!raw) {
+    return [
+      {
+        name: "default",
+        host: env.PROTECT_HOST,
+        apiKey: env.PROTECT_API_KEY,
+        username: env.PROTECT_USERNAME,
+        password: env.PROTECT_PASSWORD,
+        tls: {
+          mode: env.PROTECT_TLS_MODE,
+          ca: env.PROTECT_TLS_CA_FILE,
+          fingerprint: env.PROTECT_TLS_FINGERPRINT,
+        },
+      },
+    ];
+  }
+
+  const parsed = JSON.parse(raw);
+  const controllers = Array.isArray(parsed) ? parsed : parsed.controllers;
+
+  if (!Array.isArray(controllers)) {
+    throw new Error("Controllers must be an array");
+  }
+
+  return controllers;
+}
+
+module.exports = ProtectControllers;
+module.exports.loadControllers = loadControllers;
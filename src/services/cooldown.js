@@ -0,0 +1,132 @@
+/**
+ * Per-device cooldown that suppresses repeated alarms
+ *
+ * Alarms are keyed by device and event type (and optionally the recognized
+ * person). The first alarm for a key is posted and opens a cooldown window;
+ * further alarms for that key inside the window are suppressed. In `count`
+ * mode the number of suppressed alarms is reported with the next post.
+ */
+class CooldownTracker {
+  /**
+   * @param {Object} options - Cooldown options
+   * @param {number} options.windowMs - Default cooldown window
+   * @param {Object} options.eventTypeWindowsMs - Per event type windows
+   * @param {boolean} options.perPerson - Include the person name in the key
+   * @param {string} options.mode - "drop" or "count"
+   */
+  constructor(options = {}) {
+    this.windowMs = options.windowMs || 0;
+    this.eventTypeWindowsMs = options.eventTypeWindowsMs || {};
+    this.perPerson = !!options.perPerson;
+    this.mode = options.mode === "count" ? "count" : "drop";
+    this.entries = new Map();
+  }
+
+  /**
+   * Build the cooldown key for an event
+   * @param {Object} facts - Values from DiscordService.extractRoutingFacts
+   * @returns {string} Cooldown key
+   */
+  getKey(facts) {
+    const devices = (facts.devices || []).join(",") || "unknown";
+    const parts = [devices, facts.eventType];
+
+    if (this.perPerson && facts.person) {
+      parts.push(facts.person);
+    }
+
+    return parts.join(":").toLowerCase();
+  }
+
+  /**
+   * Get the cooldown window for an event type
+   * @param {string} eventType - Event type
+   * @returns {number} Window in milliseconds
+   */
+  getWindow(eventType) {
+    const override = this.eventTypeWindowsMs[eventType];
+    return override !== undefined ? override : this.windowMs;
+  }
+
+  /**
+   * Check an event against its cooldown window and record it
+   * @param {Object} facts - Values from DiscordService.extractRoutingFacts
+   * @returns {Object} Whether the event is suppressed, its key, the
+   *   suppressed count and the time left in the window
+   */
+  check(facts) {
+    const key = this.getKey(facts);
+    const windowMs = this.getWindow(facts.eventType);
+    const now = Date.now();
+
+    if (!windowMs) {
+      return { suppressed: false, key, suppressedCount: 0 };
+    }
+
+    this.prune(now);
+
+    const entry = this.entries.get(key);
+
+    if (entry && now - entry.lastPostedAt < windowMs) {
+      if (this.mode === "count") {
+        entry.suppressedCount += 1;
+      }
+
+      return {
+        suppressed: true,
+        key,
+        suppressedCount: entry.suppressedCount,
+        remainingMs: windowMs - (now - entry.lastPostedAt),
+      };
+    }
+
+    const suppressedCount = entry ? entry.suppressedCount : 0;
+    this.entries.set(key, { lastPostedAt: now, windowMs, suppressedCount: 0 });
+
+    return { suppressed: false, key, suppressedCount };
+  }
+
+  /**
+   * Check an event against its cooldown window without recording it, for
+   * previews
+   * @param {Object} facts - Values from DiscordService.extractRoutingFacts
+   * @returns {Object} Same shape as check, as if the event arrived now
+   */
+  peek(facts) {
+    const key = this.getKey(facts);
+    const windowMs = this.getWindow(facts.eventType);
+    const now = Date.now();
+    const entry = windowMs ? this.entries.get(key) : null;
+
+    if (entry && now - entry.lastPostedAt < windowMs) {
+      return {
+        suppressed: true,
+        key,
+        suppressedCount:
+          entry.suppressedCount + (this.mode === "count" ? 1 : 0),
+        remainingMs: windowMs - (now - entry.lastPostedAt),
+      };
+    }
+
+    return {
+      suppressed: false,
+      key,
+      suppressedCount: entry ? entry.suppressedCount : 0,
+    };
+  }
+
+  /**
+   * Drop keys whose window closed long ago and have nothing to report
+   * @param {number} now - Current time in milliseconds
+   */
+  prune(now) {
+    for (const [key, entry] of this.entries) {
+      const expired = now - entry.lastPostedAt >= entry.windowMs;
+      if (expired && entry.suppressedCount === 0) {
+        this.entries.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = CooldownTracker;
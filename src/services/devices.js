@@ -0,0 +1,181 @@
+const { createLogger } = require("../utils/logger");
+
+const logger = createLogger();
+
+// Bootstrap collections that hold devices able to trigger alarms
+const DEVICE_COLLECTIONS = ["cameras", "sensors", "lights", "chimes"];
+
+/**
+ * Cached directory of Protect devices keyed by MAC address
+ *
+ * The directory is loaded from the Protect bootstrap and reloaded once it is
+ * older than the TTL. Rooms are not part of the bootstrap, so they come from
+ * a configured map of MAC address or device name to room. With several
+ * controllers the bootstraps are merged and each device remembers its
+ * controller.
+ */
+class DeviceDirectory {
+  /**
+   * @param {Object} options - Directory options
+   * @param {ProtectClient} options.protect - Protect client
+   * @param {Array<ProtectClient>} options.clients - Protect clients of every
+   *   controller, instead of `protect`
+   * @param {number} options.ttlMs - How long a loaded bootstrap stays fresh
+   * @param {Object} options.rooms - Map of MAC address or device name to room
+   */
+  constructor(options = {}) {
+    this.clients = options.clients || [options.protect];
+    this.ttlMs = options.ttlMs || 60 * 60 * 1000;
+    this.rooms = Object.fromEntries(
+      Object.entries(options.rooms || {}).map(([key, room]) => [
+        normalizeKey(key),
+        room,
+      ])
+    );
+    this.devices = new Map();
+    this.loadedAt = 0;
+    this.refreshing = null;
+    this.logger = logger.child({ service: "devices" });
+  }
+
+  /**
+   * Look up a device by MAC address
+   * @param {string} mac - Device MAC, with or without separators
+   * @returns {Object|null} Device with name, model, type and room
+   */
+  get(mac) {
+    return mac ? this.devices.get(normalizeMac(mac)) || null : null;
+  }
+
+  /**
+   * List every known device
+   * @returns {Array<Object>} Devices sorted by name
+   */
+  list() {
+    return [...this.devices.values()].sort((a, b) =>
+      a.name.localeCompare(b.name)
+    );
+  }
+
+  /**
+   * Check whether the cached bootstrap is older than the TTL
+   * @returns {boolean} True if a refresh is due
+   */
+  isStale() {
+    return Date.now() - this.loadedAt >= this.ttlMs;
+  }
+
+  /**
+   * Reload the bootstrap if the cache is stale. Failures are logged and the
+   * previous devices are kept.
+   * @returns {Promise<void>}
+   */
+  async ensureFresh() {
+    if (!this.isStale()) {
+      return;
+    }
+
+    try {
+      await this.refresh();
+    } catch (error) {
+      // Don't retry on every event while Protect is unreachable
+      this.loadedAt = Date.now();
+      this.logger.warn("Failed to refresh Protect devices, using cache", {
+        error: error.message,
+        devices: this.devices.size,
+      });
+    }
+  }
+
+  /**
+   * Load the bootstrap from Protect now. Concurrent callers share one request.
+   * @returns {Promise<number>} Number of devices loaded
+   */
+  async refresh() {
+    if (!this.refreshing) {
+      this.refreshing = this.load().finally(() => {
+        this.refreshing = null;
+      });
+    }
+
+    return this.refreshing;
+  }
+
+  async load() {
+    const results = await Promise.allSettled(
+      this.clients.map((client) => client.getBootstrap())
+    );
+    if (results.every((result) => result.status === "rejected")) {
+      throw results[0].reason;
+    }
+
+    const devices = new Map();
+
+    results.forEach((result, index) => {
+      const controller = this.clients[index].name;
+
+      // Keep the devices of a controller that is unreachable right now
+      if (result.status === "rejected") {
+        this.logger.warn("Failed to load Protect devices of a controller", {
+          controller,
+          error: result.reason.message,
+        });
+        for (const device of this.devices.values()) {
+          if (device.controller === controller) devices.set(device.mac, device);
+        }
+        return;
+      }
+
+      for (const collection of DEVICE_COLLECTIONS) {
+        for (const device of result.value[collection] || []) {
+          if (!device.mac) continue;
+
+          const mac = normalizeMac(device.mac);
+          devices.set(mac, {
+            id: device.id,
+            mac,
+            name: device.name || device.displayName || mac,
+            model: device.marketName || device.type || null,
+            type: getDeviceType(collection, device),
+            room:
+              this.rooms[mac] ||
+              this.rooms[normalizeKey(device.name || "")] ||
+              null,
+            controller,
+          });
+        }
+      }
+    });
+
+    this.devices = devices;
+    this.loadedAt = Date.now();
+
+    this.logger.info("Loaded Protect devices", { devices: devices.size });
+    return devices.size;
+  }
+}
+
+function getDeviceType(collection, device) {
+  if (collection === "cameras") {
+    return device.featureFlags?.isDoorbell ? "doorbell" : "camera";
+  }
+
+  // sensors -> sensor, lights -> light, chimes -> chime
+  return collection.replace(/s$/, "");
+}
+
+function normalizeMac(mac) {
+  return String(mac)
+    .replace(/[^0-9a-f]/gi, "")
+    .toUpperCase();
+}
+
+/**
+ * Room map keys may be MAC addresses or device names
+ */
+function normalizeKey(key) {
+  const mac = normalizeMac(key);
+  return /^[0-9A-F]{12}$/.test(mac) ? mac : String(key).toLowerCase();
+}
+
+module.exports = DeviceDirectory;
@@ -1,24 +1,143 @@
 const axios = require("axios");
 const FormData = require("form-data");
 const { createLogger } = require("../utils/logger");
+const metrics = require("../utils/metrics");
 
 const logger = createLogger();
 
+// Event types from most to least interesting, used to pick digest thumbnails
+const EVENT_PRIORITY = [
+  "face_known",
+  "face_unknown",
+  "person",
+  "vehicle",
+  "package",
+  "alert",
+  "motion",
+];
+
+// Longest rate limit wait we sit through inline before handing off to the queue
+const MAX_INLINE_RATE_LIMIT_WAIT_MS = 5000;
+
+// Discord's upload limit for servers without boosts
+const DEFAULT_MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+
+const THUMBNAIL_MODES = ["animated", "static", "none"];
+
 /**
  * Discord webhook service for sending messages
  */
 class DiscordService {
-  constructor(webhookUrl) {
+  /**
+   * @param {string} webhookUrl - Default Discord webhook URL
+   * @param {Object} options - Service options
+   * @param {EventRouter} options.router - Optional router for per-event webhooks
+   * @param {DeliveryQueue} options.queue - Optional retry queue for failures
+   * @param {ProtectClient} options.protect - Optional Protect client for thumbnails
+   * @param {ProtectControllers} options.controllers - Optional controllers,
+   *   events are served by the Protect client of their own controller
+   * @param {CooldownTracker} options.cooldown - Optional duplicate suppression
+   * @param {EventSchedule} options.schedule - Optional time-window rules
+   * @param {MessageTemplates} options.templates - Optional message templates
+   * @param {EventAggregator} options.aggregator - Optional burst aggregation
+   * @param {EventHistory} options.history - Optional persistent event history
+   * @param {ClipExporter} options.clips - Optional MP4 clip exporter
+   * @param {DeviceDirectory} options.devices - Optional camera name lookup
+   * @param {InteractionHandler} options.interactions - Optional action
+   *   buttons and camera snoozes
+   * @param {NotifierSet} options.notifiers - Optional sinks that receive
+   *   events next to Discord
+   * @param {Object} options.eventUpdates - Edit posts once the event ends
+   * @param {number} options.eventUpdates.maxWaitMs - How long to wait for
+   *   the event to end
+   * @param {number} options.eventUpdates.pollIntervalMs - How often to poll
+   * @param {string} options.thumbnailMode - Default thumbnail mode
+   *   (animated, static or none)
+   * @param {Object} options.thumbnailModes - Thumbnail mode per event type
+   * @param {number} options.maxUploadBytes - Largest thumbnail Discord accepts
+   * @param {boolean} options.dryRun - Preview events instead of delivering
+   *   them
+   */
+  constructor(webhookUrl, options = {}) {
     this.webhookUrl = webhookUrl;
+    this.router = options.router || null;
+    this.queue = options.queue || null;
+    this.protect = options.protect || null;
+    this.controllers = options.controllers || null;
+    this.cooldown = options.cooldown || null;
+    this.schedule = options.schedule || null;
+    this.templates = options.templates || null;
+    this.aggregator = options.aggregator || null;
+    this.history = options.history || null;
+    this.clips = options.clips || null;
+    this.devices = options.devices || null;
+    this.interactions = options.interactions || null;
+    this.notifiers = options.notifiers || null;
+    this.eventUpdates = options.eventUpdates || null;
+    this.thumbnailMode = options.thumbnailMode || "animated";
+    this.thumbnailModes = options.thumbnailModes || {};
+    this.maxUploadBytes = options.maxUploadBytes || DEFAULT_MAX_UPLOAD_BYTES;
+    this.dryRun = !!options.dryRun;
+
+    validateThumbnailModes(this.thumbnailMode, this.thumbnailModes);
+    this.rateLimits = new Map();
     this.logger = logger.child({ service: "discord" });
   }
 
+  /**
+   * Replace the configuration-only parts of the service after a config
+   * reload. Events already being processed pick up the new parts from their
+   * next step on.
+   * @param {Object} options - New settings
+   * @param {string} options.webhookUrl - Default Discord webhook URL
+   * @param {EventRouter} options.router - Routing table
+   * @param {NotifierSet|null} options.notifiers - Notification sinks
+   * @param {EventSchedule|null} options.schedule - Time-window rules
+   * @param {MessageTemplates|null} options.templates - Message templates
+   * @param {string} options.thumbnailMode - Default thumbnail mode
+   * @param {Object} options.thumbnailModes - Thumbnail mode per event type
+   * @param {boolean} options.dryRun - Preview events instead of delivering
+   *   them
+   * @throws {Error} If a thumbnail mode is unknown; nothing is changed then
+   */
+  reconfigure(options) {
+    const thumbnailMode = options.thumbnailMode || "animated";
+    const thumbnailModes = options.thumbnailModes || {};
+    validateThumbnailModes(thumbnailMode, thumbnailModes);
+
+    this.webhookUrl = options.webhookUrl;
+    this.router = options.router || null;
+    this.notifiers = options.notifiers || null;
+    this.schedule = options.schedule || null;
+    this.templates = options.templates || null;
+    this.thumbnailMode = thumbnailMode;
+    this.thumbnailModes = thumbnailModes;
+    this.dryRun = !!options.dryRun;
+  }
+
   /**
    * Transform Unifi Protect event into Discord embed format
    * @param {Object} eventData - Unifi Protect event data
+   * @param {Object} options - Rendering options
+   * @param {number} options.suppressedCount - Alarms suppressed since the last post
    * @returns {Object} Discord message payload
    */
-  transformToDiscordFormat(eventData) {
+  transformToDiscordFormat(eventData, options = {}) {
+    if (this.templates) {
+      try {
+        const message = this.templates.render(
+          this.buildTemplateContext(eventData)
+        );
+        this.addControllerField(message.embeds[0], eventData);
+        this.addSuppressedField(message.embeds[0], options.suppressedCount);
+        return message;
+      } catch (error) {
+        this.logger.warn("Message template failed, using built-in layout", {
+          error: error.message,
+        });
+      }
+    }
+
     const { alarm, timestamp } = eventData;
 
     // Extract event information from the alarm structure
@@ -79,17 +198,8 @@ class DiscordService {
     }
 
     // Add condition information if available
-    if (alarm.conditions && alarm.conditions.length > 0) {
-      const conditions = alarm.conditions
-        .map((cond) =>
-          cond.condition
-            ? `${cond.condition.source || "unknown"} (${
-                cond.condition.type || "unknown"
-              })`
-            : "unknown"
-        )
-        .join(", ");
-
+    const conditions = this.formatConditions(alarm);
+    if (conditions) {
       embed.fields.push({
         name: "Conditions",
         value: conditions,
@@ -97,12 +207,103 @@ class DiscordService {
       });
     }
 
+    this.addControllerField(embed, eventData);
+    this.addSuppressedField(embed, options.suppressedCount);
+
     return {
       content: `${eventConfig.emoji} **${eventConfig.title}**`,
       embeds: [embed],
     };
   }
 
+  /**
+   * Name the controller of the event when there is more than one
+   * @param {Object} embed - Discord embed to extend
+   * @param {Object} eventData - Unifi Protect event data
+   */
+  addControllerField(embed, eventData) {
+    if (this.controllers?.list().length > 1) {
+      embed.fields = embed.fields || [];
+      embed.fields.push({
+        name: "Controller",
+        value: this.getProtect(eventData).name,
+        inline: true,
+      });
+    }
+  }
+
+  /**
+   * Report alarms that were held back by the cooldown
+   * @param {Object} embed - Discord embed to extend
+   * @param {number} suppressedCount - Number of suppressed alarms
+   */
+  addSuppressedField(embed, suppressedCount) {
+    if (suppressedCount > 0) {
+      embed.fields.push({
+        name: "Suppressed",
+        value: `${suppressedCount} similar alert(s) since the last post`,
+        inline: false,
+      });
+    }
+  }
+
+  /**
+   * Describe the alarm conditions, e.g. "person (smart_detect)"
+   * @param {Object} alarm - Alarm object from Unifi Protect
+   * @returns {string|null} Comma-separated conditions
+   */
+  formatConditions(alarm) {
+    if (!alarm.conditions || alarm.conditions.length === 0) {
+      return null;
+    }
+
+    return alarm.conditions
+      .map((cond) =>
+        cond.condition
+          ? `${cond.condition.source || "unknown"} (${
+              cond.condition.type || "unknown"
+            })`
+          : "unknown"
+      )
+      .join(", ");
+  }
+
+  /**
+   * Collect the placeholder values for message templates
+   * @param {Object} eventData - Unifi Protect event data
+   * @returns {Object} Template context
+   */
+  buildTemplateContext(eventData) {
+    const { alarm, timestamp } = eventData;
+    const facts = this.extractRoutingFacts(alarm);
+    const eventConfig = this.getEventConfig(facts.eventType);
+    const cameras = this.describeDevices(facts.devices);
+    const list = (key) =>
+      [...new Set(cameras.map((camera) => camera[key]).filter(Boolean))].join(
+        ", "
+      );
+
+    return {
+      alarmName: alarm.name || "Unknown Alarm",
+      eventType: facts.eventType,
+      emoji: eventConfig.emoji,
+      label: eventConfig.title,
+      color: eventConfig.color,
+      camera: list("name") || "Unknown camera",
+      model: list("model"),
+      room: list("room"),
+      mac: facts.devices.join(", "),
+      device: this.extractDeviceInfo(alarm) || "",
+      trigger: facts.triggers.join(", "),
+      person: facts.person || "",
+      controller: this.getProtect(eventData)?.name || "",
+      eventId: this.extractEventId(alarm) || "",
+      link: alarm.eventLocalLink || "",
+      conditions: this.formatConditions(alarm) || "",
+      timestamp: new Date(timestamp || Date.now()).toISOString(),
+    };
+  }
+
   /**
    * Extract event type from alarm conditions
    * @param {Object} alarm - Alarm object from Unifi Protect
@@ -154,7 +355,14 @@ class DiscordService {
 
     for (const trigger of alarm.triggers) {
       if (trigger.device) {
-        deviceInfo.push(`Device: ${trigger.device}`);
+        const [device] = this.describeDevices([trigger.device]);
+        const details = [device.model, device.room].filter(Boolean).join(", ");
+
+        deviceInfo.push(
+          device.known
+            ? `${device.name}${details ? ` (${details})` : ""}`
+            : `Device: ${trigger.device}`
+        );
       }
       if (trigger.key) {
         deviceInfo.push(`Trigger: ${trigger.key}`);
@@ -164,6 +372,22 @@ class DiscordService {
     return deviceInfo.length > 0 ? deviceInfo.join(" | ") : null;
   }
 
+  /**
+   * Look up device MACs in the device directory
+   * @param {Array<string>} macs - Device MACs from the alarm triggers
+   * @returns {Array<Object>} Name, model and room per device; unknown devices
+   *   are named by their MAC
+   */
+  describeDevices(macs) {
+    return macs.map((mac) => {
+      const device = this.devices?.get(mac);
+
+      return device
+        ? { known: true, mac, ...device }
+        : { known: false, mac, name: mac, model: null, room: null };
+    });
+  }
+
   /**
    * Extract person information from face recognition events
    * @param {Object} alarm - Alarm object from Unifi Protect
@@ -219,20 +443,244 @@ class DiscordService {
   }
 
   /**
-   * Fetch animated thumbnail from Unifi Protect
+   * Collect the values used to route an event to its webhooks
+   * @param {Object} alarm - Alarm object from Unifi Protect
+   * @returns {Object} Event type, device MACs, trigger keys and person name
+   */
+  extractRoutingFacts(alarm) {
+    const triggers = Array.isArray(alarm.triggers) ? alarm.triggers : [];
+    const personInfo = this.extractPersonInfo(alarm);
+
+    return {
+      eventType: this.extractEventType(alarm),
+      devices: triggers.map((trigger) => trigger.device).filter(Boolean),
+      triggers: triggers.map((trigger) => trigger.key).filter(Boolean),
+      person: personInfo ? personInfo.name : null,
+    };
+  }
+
+  /**
+   * Resolve the webhooks an event should be delivered to
+   * @param {Object} alarm - Alarm object from Unifi Protect
+   * @returns {Array<Object>} Destinations with route name and webhook URL
+   */
+  resolveDestinations(alarm) {
+    if (!this.router) {
+      return [{ route: "default", webhookUrl: this.webhookUrl }];
+    }
+
+    return this.router.resolve(this.extractRoutingFacts(alarm));
+  }
+
+  /**
+   * Find the Protect client that serves an event: the one of the controller
+   * the event was received for, else the one whose cameras include the
+   * alarm's first device, else the default client
+   * @param {Object} eventData - Unifi Protect event data
+   * @returns {ProtectClient|null} Protect client
+   */
+  getProtect(eventData) {
+    if (!this.controllers) {
+      return this.protect;
+    }
+
+    const [mac] = this.extractRoutingFacts(eventData.alarm).devices;
+    const controller =
+      this.controllers.get(eventData.controller) ||
+      this.controllers.get(this.devices?.get(mac)?.controller) ||
+      this.controllers.default;
+
+    return controller.protect;
+  }
+
+  /**
+   * Find the Protect ID of the alarm's first camera, used for snapshots
+   * when there is only an API key
+   * @param {Object} eventData - Unifi Protect event data
+   * @returns {string|null} Camera ID, or null if the device is unknown
+   */
+  getCameraId(eventData) {
+    const [mac] = this.extractRoutingFacts(eventData.alarm).devices;
+    return this.devices?.get(mac)?.id || null;
+  }
+
+  /**
+   * Link to an event in the Protect web app
+   * @param {Object} alarm - Alarm object from Unifi Protect
+   * @param {string|null} eventId - Protect event ID
+   * @param {ProtectClient|null} protect - Client of the event's controller
+   * @returns {string|null} Link from the alarm, or one built from the
+   *   Protect host
+   */
+  getEventLink(alarm, eventId, protect = this.protect) {
+    if (alarm.eventLocalLink) {
+      return alarm.eventLocalLink;
+    }
+
+    if (eventId && protect?.isConfigured()) {
+      return `${protect.baseUrl}/protect/events/event/${eventId}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Build the normalized event sent to notification sinks
+   * @param {Object} eventData - Unifi Protect event data
+   * @param {string|null} historyId - History record of the event
+   * @returns {Object} Template context with the history ID and event link
+   */
+  buildNotification(eventData, historyId) {
+    const context = this.buildTemplateContext(eventData);
+
+    return {
+      ...context,
+      historyId,
+      link:
+        this.getEventLink(
+          eventData.alarm,
+          context.eventId,
+          this.getProtect(eventData)
+        ) || "",
+    };
+  }
+
+  /**
+   * Send an event to the notification sinks and record the results
+   * @param {Object} eventData - Unifi Protect event data
+   * @param {Object|null} attachment - Thumbnail or clip
+   * @param {string} requestId - Request ID for logging
+   * @param {string|null} historyId - History record of the event
+   * @returns {Promise<Array<Object>>} Result per sink; failed sends are
+   *   reported in the results, building the notification or writing the
+   *   history can still reject
+   */
+  async notifySinks(eventData, attachment, requestId, historyId) {
+    if (!this.notifiers) {
+      return [];
+    }
+
+    const results = await this.notifiers.notify(
+      this.buildNotification(eventData, historyId),
+      this.extractRoutingFacts(eventData.alarm),
+      attachment,
+      this.logger.child({ requestId })
+    );
+
+    this.recordHistory(historyId, { notifiers: results });
+    return results;
+  }
+
+  /**
+   * Normalize an alarm into the record kept in the event history
+   * @param {Object} eventData - Unifi Protect event data
+   * @param {string} requestId - Request ID that received the event
+   * @returns {Object} Normalized event
+   */
+  normalizeEvent(eventData, requestId) {
+    const { alarm } = eventData;
+    const facts = this.extractRoutingFacts(alarm);
+
+    return {
+      requestId,
+      receivedAt: new Date().toISOString(),
+      timestamp: new Date(eventData.timestamp || Date.now()).toISOString(),
+      alarmName: alarm.name || "Unknown Alarm",
+      eventType: facts.eventType,
+      devices: facts.devices,
+      cameras: this.describeDevices(facts.devices).map((device) => device.name),
+      triggers: facts.triggers,
+      person: facts.person,
+      controller: this.controllers ? this.getProtect(eventData).name : null,
+      protectEventId: this.extractEventId(alarm),
+      eventLocalLink: alarm.eventLocalLink || null,
+    };
+  }
+
+  /**
+   * Merge fields into an event history record, if history is enabled
+   * @param {string|null} historyId - History record ID
+   * @param {Object} fields - Fields to update
+   */
+  recordHistory(historyId, fields) {
+    if (this.history && historyId) {
+      this.history.update(historyId, fields);
+    }
+  }
+
+  /**
+   * Record the delivery outcome and thumbnail of events in the history
+   * @param {Array<string>} historyIds - History record IDs
+   * @param {Object} result - Summary from deliverToAll
+   * @param {string|null} eventId - Protect event ID used for the thumbnail
+   * @param {Object|null} thumbnail - Thumbnail that was attached
+   */
+  recordDelivery(historyIds, result, eventId, thumbnail) {
+    const reference = eventId
+      ? {
+          protectEventId: eventId,
+          path:
+            thumbnail?.path || `/proxy/protect/api/events/${eventId}/thumbnail`,
+          attached: !!thumbnail,
+          mode: thumbnail?.mode || null,
+          contentType: thumbnail?.contentType || null,
+          size: thumbnail ? thumbnail.buffer.length : 0,
+        }
+      : null;
+
+    for (const historyId of historyIds) {
+      this.recordHistory(historyId, {
+        thumbnail: reference,
+        discordMessageId: result.id || null,
+        delivery: {
+          status: result.delivered > 0 ? "delivered" : "queued",
+          deliveries: result.deliveries,
+        },
+      });
+    }
+  }
+
+  /**
+   * Get the thumbnail mode for an event type
+   * @param {string} eventType - Event type
+   * @returns {string} animated, static or none
+   */
+  getThumbnailMode(eventType) {
+    return this.thumbnailModes[eventType] || this.thumbnailMode;
+  }
+
+  /**
+   * Fetch the event thumbnail from Unifi Protect
+   *
+   * Animated mode downloads the GIF and falls back to the static JPEG when
+   * the download fails or the GIF is larger than Discord's upload limit.
+   * Event thumbnails need a Protect session; with only an API key a
+   * snapshot of the camera is attached instead.
    * @param {string} eventId - Event ID
    * @param {string} requestId - Request ID for logging
-   * @returns {Promise<Buffer|null>} Thumbnail buffer or null if failed
+   * @param {string} eventType - Event type, selects the thumbnail mode
+   * @param {ProtectClient|null} protect - Client of the event's controller
+   * @param {string|null} cameraId - Protect camera ID, for snapshots
+   * @returns {Promise<Object|null>} Thumbnail with buffer, filename,
+   *   content type, mode and Protect path, or null if unavailable
    */
-  async fetchAnimatedThumbnail(eventId, requestId) {
+  async fetchThumbnail(
+    eventId,
+    requestId,
+    eventType,
+    protect = this.protect,
+    cameraId = null
+  ) {
     const requestLogger = this.logger.child({ requestId });
-    const protectHost = process.env.PROTECT_HOST || "192.168.1.80";
-    const protectUsername = process.env.PROTECT_USERNAME;
-    const protectPassword = process.env.PROTECT_PASSWORD;
+    const mode = this.getThumbnailMode(eventType);
 
-    if (!protectUsername || !protectPassword) {
+    if (mode === "none") {
+      return null;
+    }
+
+    if (!protect || !protect.isConfigured()) {
       requestLogger.info(
-        "No PROTECT_USERNAME/PASSWORD configured, skipping thumbnail"
+        "No Protect credentials configured, skipping thumbnail"
       );
       return null;
     }
@@ -242,102 +690,101 @@ class DiscordService {
       return null;
     }
 
-    try {
-      // First, authenticate to get session token
-      const sessionToken = await this.authenticateWithProtect(
-        protectHost,
-        protectUsername,
-        protectPassword,
-        requestLogger
-      );
-      if (!sessionToken) {
-        requestLogger.error("Failed to authenticate with UniFi Protect");
+    if (!protect.hasSession()) {
+      if (!cameraId) {
+        requestLogger.info("Camera of the event unknown, skipping snapshot", {
+          eventId,
+        });
         return null;
       }
 
-      // Use static thumbnail instead of animated (more reliable)
-      const thumbnailUrl = `https://${protectHost}/proxy/protect/api/events/${eventId}/thumbnail`;
+      return this.downloadThumbnail(
+        eventId,
+        "snapshot",
+        requestLogger,
+        protect,
+        cameraId
+      );
+    }
+
+    if (mode === "animated") {
+      const animated = await this.downloadThumbnail(
+        eventId,
+        "animated",
+        requestLogger,
+        protect
+      );
+      if (animated) {
+        return animated;
+      }
+
+      requestLogger.info("Falling back to static thumbnail", { eventId });
+    }
+
+    return this.downloadThumbnail(eventId, "static", requestLogger, protect);
+  }
+
+  /**
+   * Download one thumbnail variant and check it fits Discord's upload limit
+   * @param {string} eventId - Event ID
+   * @param {string} mode - animated, static or snapshot
+   * @param {Object} requestLogger - Logger for the request
+   * @param {ProtectClient} protect - Client to download from
+   * @param {string} cameraId - Protect camera ID, for snapshots
+   * @returns {Promise<Object|null>} Thumbnail, or null if failed or too large
+   */
+  async downloadThumbnail(eventId, mode, requestLogger, protect, cameraId) {
+    const path = getThumbnailPath(mode, eventId, cameraId);
 
+    try {
       requestLogger.info("Fetching thumbnail", {
         eventId,
-        thumbnailUrl,
+        mode,
+        host: protect.host,
       });
 
-      const response = await axios.get(thumbnailUrl, {
-        headers: {
-          accept: "image/*",
-          "user-agent":
-            "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/138.0.0.0 Safari/537.36",
-          Cookie: `TOKEN=${sessionToken}`,
-        },
-        responseType: "arraybuffer",
-        timeout: 15000,
-        httpsAgent: new (require("https").Agent)({
-          rejectUnauthorized: false,
-        }),
-      });
+      const buffer =
+        mode === "snapshot"
+          ? await protect.getSnapshot(cameraId)
+          : mode === "animated"
+          ? await protect.getAnimatedThumbnail(eventId)
+          : await protect.getThumbnail(eventId);
 
-      if (response.status === 200 && response.data) {
-        requestLogger.info("Successfully fetched thumbnail", {
-          eventId,
-          size: response.data.length,
-        });
-        return Buffer.from(response.data);
-      } else {
-        requestLogger.warn("Failed to fetch thumbnail - invalid response", {
+      metrics.thumbnailSize.observe({ mode }, buffer.length);
+
+      if (buffer.length > this.maxUploadBytes) {
+        metrics.thumbnailFetches.inc({ mode, result: "too_large" });
+        requestLogger.warn("Thumbnail exceeds Discord upload limit", {
           eventId,
-          status: response.status,
+          mode,
+          size: buffer.length,
+          maxUploadBytes: this.maxUploadBytes,
         });
         return null;
       }
-    } catch (error) {
-      requestLogger.error("Failed to fetch thumbnail", {
-        eventId,
-        error: error.message,
-        statusCode: error.response?.status,
-      });
-      return null;
-    }
-  }
 
-  async authenticateWithProtect(host, username, password, logger) {
-    try {
-      const loginResponse = await axios.post(
-        `https://${host}/api/auth/login`,
-        {
-          username: username,
-          password: password,
-          remember: true,
-        },
-        {
-          headers: {
-            "Content-Type": "application/json",
-            "User-Agent":
-              "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/138.0.0.0 Safari/537.36",
-          },
-          httpsAgent: new (require("https").Agent)({
-            rejectUnauthorized: false,
-          }),
-          timeout: 10000,
-        }
-      );
+      metrics.thumbnailFetches.inc({ mode, result: "success" });
+      const { extension, contentType } = detectImageType(buffer);
 
-      // Extract session token from cookies
-      const cookies = loginResponse.headers["set-cookie"];
-      if (cookies) {
-        for (const cookie of cookies) {
-          if (cookie.includes("TOKEN=")) {
-            const sessionToken = cookie.split("TOKEN=")[1].split(";")[0];
-            logger.info("Successfully authenticated with UniFi Protect");
-            return sessionToken;
-          }
-        }
-      }
+      requestLogger.info("Successfully fetched thumbnail", {
+        eventId,
+        mode,
+        contentType,
+        size: buffer.length,
+      });
 
-      logger.error("No session token found in authentication response");
-      return null;
+      return {
+        buffer,
+        filename: `thumbnail-${eventId}.${extension}`,
+        contentType,
+        mode,
+        path,
+      };
     } catch (error) {
-      logger.error("Authentication failed", {
+      metrics.thumbnailFetches.inc({ mode, result: "failure" });
+      requestLogger.error("Failed to fetch thumbnail", {
+        eventId,
+        mode,
         error: error.message,
         statusCode: error.response?.status,
       });
@@ -387,6 +834,11 @@ class DiscordService {
         title: "Unknown Person Detected",
         color: 16776960, // Yellow
       },
+      ring: {
+        emoji: "🛎️",
+        title: "Doorbell Ring",
+        color: 15105570, // Orange
+      },
     };
 
     return (
@@ -402,23 +854,31 @@ class DiscordService {
    * Send message to Discord webhook
    * @param {Object} messageData - Message data to send
    * @param {string} requestId - Request ID for logging
+   * @param {string} webhookUrl - Webhook URL, defaults to the service webhook
    * @returns {Promise<Object>} Discord API response
    */
-  async sendMessage(messageData, requestId) {
+  async sendMessage(messageData, requestId, webhookUrl = this.webhookUrl) {
     const requestLogger = this.logger.child({ requestId });
 
     try {
       requestLogger.info("Sending message to Discord", {
-        webhookUrl: this.webhookUrl.substring(0, 50) + "...",
+        webhookUrl: webhookUrl.substring(0, 50) + "...",
         messageType: messageData.content ? "with_content" : "embed_only",
       });
 
-      const response = await axios.post(this.webhookUrl, messageData, {
-        headers: {
-          "Content-Type": "application/json",
-        },
-        timeout: 10000, // 10 second timeout
-      });
+      await this.waitForRateLimit(webhookUrl, requestLogger);
+
+      const response = await metrics.observeDiscordSend(() =>
+        axios.post(webhookUrl, messageData, {
+          headers: {
+            "Content-Type": "application/json",
+          },
+          params: getWebhookParams(messageData),
+          timeout: 10000, // 10 second timeout
+        })
+      );
+
+      this.recordRateLimit(webhookUrl, response);
 
       requestLogger.info("Message sent successfully to Discord", {
         statusCode: response.status,
@@ -433,42 +893,58 @@ class DiscordService {
         responseData: error.response?.data,
       });
 
-      throw new Error(`Discord webhook failed: ${error.message}`);
+      this.recordRateLimit(webhookUrl, error.response);
+      throw createDeliveryError(error);
     }
   }
 
   /**
    * Send message with thumbnail to Discord webhook
    * @param {Object} messageData - Message data to send
-   * @param {Buffer|null} thumbnailBuffer - Thumbnail buffer to upload
+   * @param {Object|null} thumbnail - Thumbnail from fetchThumbnail
    * @param {string} requestId - Request ID for logging
+   * @param {string} webhookUrl - Webhook URL, defaults to the service webhook
    * @returns {Promise<Object>} Discord API response
    */
-  async sendMessageWithThumbnail(messageData, thumbnailBuffer, requestId) {
+  async sendMessageWithThumbnail(
+    messageData,
+    thumbnail,
+    requestId,
+    webhookUrl = this.webhookUrl
+  ) {
     const requestLogger = this.logger.child({ requestId });
 
     try {
-      if (thumbnailBuffer) {
+      if (thumbnail) {
         requestLogger.info("Sending message with thumbnail to Discord", {
-          webhookUrl: this.webhookUrl.substring(0, 50) + "...",
+          webhookUrl: webhookUrl.substring(0, 50) + "...",
           messageType: messageData.content ? "with_content" : "embed_only",
-          thumbnailSize: thumbnailBuffer.length,
+          thumbnailSize: thumbnail.buffer.length,
+          contentType: thumbnail.contentType,
         });
 
         // Create form data for file upload
         const formData = new FormData();
         formData.append("payload_json", JSON.stringify(messageData));
-        formData.append("files[0]", thumbnailBuffer, {
-          filename: "thumbnail.jpg",
-          contentType: "image/jpeg",
+        formData.append("files[0]", thumbnail.buffer, {
+          filename: thumbnail.filename,
+          contentType: thumbnail.contentType,
         });
 
-        const response = await axios.post(this.webhookUrl, formData, {
-          headers: {
-            ...formData.getHeaders(),
-          },
-          timeout: 15000, // 15 second timeout for file upload
-        });
+        await this.waitForRateLimit(webhookUrl, requestLogger);
+
+        const response = await metrics.observeDiscordSend(() =>
+          axios.post(webhookUrl, formData, {
+            headers: {
+              ...formData.getHeaders(),
+            },
+            params: getWebhookParams(messageData),
+            // Clips can be several megabytes, give them longer to upload
+            timeout: thumbnail.mode === "clip" ? 60000 : 15000,
+          })
+        );
+
+        this.recordRateLimit(webhookUrl, response);
 
         requestLogger.info(
           "Message with thumbnail sent successfully to Discord",
@@ -481,70 +957,1155 @@ class DiscordService {
         return response.data;
       } else {
         // No thumbnail, send regular message
-        return await this.sendMessage(messageData, requestId);
+        return await this.sendMessage(messageData, requestId, webhookUrl);
       }
     } catch (error) {
       requestLogger.error("Failed to send message with thumbnail to Discord", {
         error: error.message,
-        statusCode: error.response?.status,
+        statusCode: error.response?.status || error.statusCode,
         responseData: error.response?.data,
       });
 
-      throw new Error(`Discord webhook failed: ${error.message}`);
+      this.recordRateLimit(webhookUrl, error.response);
+      throw createDeliveryError(error);
     }
   }
 
   /**
-   * Process Unifi Protect event and send to Discord
-   * @param {Object} eventData - Unifi Protect event data
-   * @param {string} requestId - Request ID for logging
-   * @returns {Promise<Object>} Discord API response
+   * Remember Discord rate limit state for a webhook
+   * @param {string} webhookUrl - Webhook URL the response came from
+   * @param {Object} response - Axios response (may be undefined)
    */
-  async processAndSend(eventData, requestId) {
-    const requestLogger = this.logger.child({ requestId });
+  recordRateLimit(webhookUrl, response) {
+    if (!response) {
+      return;
+    }
 
-    try {
-      requestLogger.info("Processing Unifi Protect event", {
-        alarmName: eventData.alarm?.name,
-        eventType: this.extractEventType(eventData.alarm),
-        deviceCount: eventData.alarm?.triggers?.length || 0,
-      });
+    const exhausted =
+      response.status === 429 ||
+      response.headers?.["x-ratelimit-remaining"] === "0";
 
-      // Log the extracted data for debugging
-      requestLogger.info("Extracted event data", {
-        alarm: eventData.alarm,
-        timestamp: eventData.timestamp,
-        extractedEventType: this.extractEventType(eventData.alarm),
-        deviceInfo: this.extractDeviceInfo(eventData.alarm),
-        personInfo: this.extractPersonInfo(eventData.alarm),
-      });
+    if (exhausted) {
+      const waitMs = getRetryAfterMs(response) || 1000;
+      this.rateLimits.set(webhookUrl, Date.now() + waitMs);
+    }
+  }
 
-      // Extract event ID for thumbnail
-      const eventId = this.extractEventId(eventData.alarm);
+  /**
+   * Wait until the webhook's rate limit bucket resets
+   * @param {string} webhookUrl - Webhook URL about to be called
+   * @param {Object} requestLogger - Logger for the current request
+   * @returns {Promise<void>}
+   */
+  async waitForRateLimit(webhookUrl, requestLogger) {
+    const waitMs = (this.rateLimits.get(webhookUrl) || 0) - Date.now();
+    if (waitMs <= 0) {
+      return;
+    }
 
-      // Fetch thumbnail if credentials are available
-      let thumbnailBuffer = null;
-      if (eventId) {
-        thumbnailBuffer = await this.fetchAnimatedThumbnail(eventId, requestId);
-      }
+    if (waitMs > MAX_INLINE_RATE_LIMIT_WAIT_MS) {
+      const error = new Error(`Rate limited for another ${waitMs}ms`);
+      error.statusCode = 429;
+      error.retryAfterMs = waitMs;
+      error.retryable = true;
+      throw error;
+    }
+
+    requestLogger.info("Waiting for Discord rate limit reset", { waitMs });
+    await new Promise((resolve) => setTimeout(resolve, waitMs));
+  }
 
-      const discordMessage = this.transformToDiscordFormat(eventData);
+  /**
+   * Send a message to one routed destination, queueing it on failure
+   * @param {Object} destination - Route name and webhook URL
+   * @param {Object} messageData - Message data to send
+   * @param {Object|null} thumbnail - Thumbnail from fetchThumbnail
+   * @param {string} requestId - Request ID for logging
+   * @param {Array<string>} historyIds - History records the message covers
+   * @returns {Promise<Object>} Delivery result for the destination
+   */
+  async deliver(
+    destination,
+    messageData,
+    thumbnail,
+    requestId,
+    historyIds = []
+  ) {
+    messageData = withMention(messageData, destination.mention);
+
+    try {
       const result = await this.sendMessageWithThumbnail(
-        discordMessage,
-        thumbnailBuffer,
-        requestId
+        messageData,
+        thumbnail,
+        requestId,
+        destination.webhookUrl
       );
 
-      requestLogger.info("Event processed and sent successfully");
-      return result;
+      return {
+        route: destination.route,
+        success: true,
+        messageId: result?.id,
+      };
+    } catch (error) {
+      if (!this.queue) {
+        throw error;
+      }
+
+      const entry = this.queue.enqueue(
+        {
+          route: destination.route,
+          webhookUrl: destination.webhookUrl,
+          messageData,
+          attachment: thumbnail,
+          requestId,
+          historyIds,
+        },
+        error
+      );
+
+      return {
+        route: destination.route,
+        success: false,
+        queued: !entry.deadAt,
+        deadLettered: !!entry.deadAt,
+        queueId: entry.id,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Re-send a delivery from the retry queue
+   * @param {Object} entry - Queue entry with decoded attachment
+   * @returns {Promise<Object>} Discord API response
+   */
+  async redeliver(entry) {
+    const result = await this.sendMessageWithThumbnail(
+      entry.messageData,
+      entry.attachment,
+      entry.requestId,
+      entry.webhookUrl
+    );
+
+    for (const historyId of entry.historyIds || []) {
+      const record = this.history?.get(historyId);
+      if (!record) continue;
+
+      // Replace the queued result for this route with the delivered one
+      const deliveries = (record.delivery.deliveries || []).map((delivery) =>
+        delivery.queueId === entry.id
+          ? { route: entry.route, success: true, messageId: result?.id }
+          : delivery
+      );
+
+      this.recordHistory(historyId, {
+        discordMessageId: record.discordMessageId || result?.id || null,
+        delivery: { status: "delivered", deliveries },
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Work out what processAndSend would do with an event without doing it
+   *
+   * Runs the same schedule, snooze, cooldown, routing and rendering steps,
+   * but calls neither Discord, Protect nor the notification sinks, and
+   * leaves the history, cooldown windows and digests untouched.
+   *
+   * @param {Object} eventData - Validated and sanitized event data
+   * @returns {Object} The `action` processAndSend would take (post, drop,
+   *   snooze, suppress, aggregate or defer), the decisions behind it, the
+   *   payload per destination and the thumbnail decision
+   */
+  preview(eventData) {
+    const { alarm } = eventData;
+    const facts = this.extractRoutingFacts(alarm);
+    const eventId = this.extractEventId(alarm);
+    const eventType = this.extractEventType(alarm);
+    const protect = this.getProtect(eventData);
+
+    const schedule = this.schedule
+      ? this.schedule.evaluate(
+          facts,
+          new Date(eventData.timestamp || Date.now())
+        )
+      : null;
+    const downgraded = schedule?.action === "downgrade";
+    const snooze = this.interactions
+      ? this.interactions.snoozes.check(facts.devices)
+      : null;
+    const cooldown = this.cooldown ? this.cooldown.peek(facts) : null;
+    const deferred =
+      !!this.clips &&
+      !!eventId &&
+      !downgraded &&
+      this.clips.appliesTo(eventType, protect);
+
+    let action = "post";
+    if (schedule?.action === "drop") action = "drop";
+    else if (snooze) action = "snooze";
+    else if (cooldown?.suppressed) action = "suppress";
+    else if (this.aggregator) action = "aggregate";
+    else if (deferred) action = "defer";
+
+    const destinations = this.resolveDestinations(alarm).map((destination) =>
+      downgraded ? { ...destination, mention: null } : destination
+    );
+    if (destinations.length === 0) {
+      throw new Error("No Discord webhook configured for this event");
+    }
+
+    const discordMessage = this.transformToDiscordFormat(eventData, {
+      suppressedCount:
+        cooldown && !cooldown.suppressed ? cooldown.suppressedCount : 0,
+    });
+
+    if (this.interactions) {
+      discordMessage.components = this.interactions.buildComponents({
+        historyId: null,
+        devices: facts.devices,
+        link: this.getEventLink(alarm, eventId, protect),
+      });
+    }
+
+    return {
+      action,
+      eventType,
+      eventId,
+      controller: this.controllers ? protect.name : null,
+      facts,
+      schedule,
+      downgraded,
+      snooze,
+      cooldown,
+      destinations: destinations.map((destination) => {
+        const payload = withMention(discordMessage, destination.mention);
+
+        return {
+          route: destination.route,
+          webhookUrl: destination.webhookUrl.substring(0, 50) + "...",
+          params: getWebhookParams(payload),
+          payload,
+        };
+      }),
+      thumbnail: this.previewThumbnail(eventId, eventType, {
+        downgraded,
+        deferred,
+        protect,
+        cameraId: this.getCameraId(eventData),
+      }),
+      notifiers: this.notifiers
+        ? this.notifiers
+            .matching(facts)
+            .map(({ name, type }) => ({ notifier: name, type }))
+        : [],
+    };
+  }
+
+  /**
+   * Decide which attachment processAndSend would fetch for an event
+   * @param {string|null} eventId - Protect event ID
+   * @param {string} eventType - Event type, selects the thumbnail mode
+   * @param {Object} options - Decisions already made for the event
+   * @param {boolean} options.downgraded - Downgraded by the schedule
+   * @param {boolean} options.deferred - Delivered with an exported clip
+   * @param {ProtectClient|null} options.protect - Client of the event's
+   *   controller
+   * @param {string|null} options.cameraId - Camera of the event, for
+   *   snapshots
+   * @returns {Object} Mode, whether something is attached, the Protect
+   *   paths tried in order, or the reason nothing is attached
+   */
+  previewThumbnail(eventId, eventType, options = {}) {
+    const mode = options.deferred ? "clip" : this.getThumbnailMode(eventType);
+    const skip = (reason) => ({ mode, attach: false, reason, paths: [] });
+
+    if (options.downgraded) return skip("downgraded by schedule");
+    if (!eventId) return skip("alarm has no Protect event ID");
+    if (options.deferred) {
+      // The export range is only known once the event ends
+      return { mode, attach: true, reason: null, paths: [] };
+    }
+    const protect =
+      options.protect === undefined ? this.protect : options.protect;
+
+    if (mode === "none") return skip("thumbnail mode is none");
+    if (!protect || !protect.isConfigured()) {
+      return skip("Protect credentials not configured");
+    }
+
+    if (!protect.hasSession()) {
+      if (!options.cameraId) return skip("camera of the event unknown");
+
+      return {
+        mode: "snapshot",
+        attach: true,
+        reason: null,
+        paths: [getThumbnailPath("snapshot", eventId, options.cameraId)],
+      };
+    }
+
+    const paths = [`/proxy/protect/api/events/${eventId}/thumbnail`];
+    if (mode === "animated") {
+      paths.unshift(`/proxy/protect/api/events/${eventId}/animated-thumbnail`);
+    }
+
+    return { mode, attach: true, reason: null, paths };
+  }
+
+  /**
+   * Process Unifi Protect event and send to every routed Discord webhook
+   *
+   * In dry-run mode the event is only previewed and logged.
+   *
+   * @param {Object} eventData - Unifi Protect event data
+   * @param {string} requestId - Request ID for logging
+   * @returns {Promise<Object>} First Discord message ID and per-webhook
+   *   results, or `dryRun` and the `preview` in dry-run mode
+   */
+  async processAndSend(eventData, requestId) {
+    const requestLogger = this.logger.child({ requestId });
+
+    if (this.dryRun) {
+      const preview = this.preview(eventData);
+      requestLogger.info("Dry run, event not delivered", {
+        action: preview.action,
+        routes: preview.destinations.map((destination) => destination.route),
+        thumbnail: preview.thumbnail.mode,
+      });
+
+      return {
+        historyId: null,
+        suppressed: false,
+        dryRun: true,
+        preview,
+        delivered: 0,
+        queued: 0,
+        deliveries: [],
+      };
+    }
+
+    if (this.devices) {
+      await this.devices.ensureFresh();
+    }
+
+    const historyId = this.history
+      ? this.history.record(this.normalizeEvent(eventData, requestId))
+      : null;
+
+    try {
+      requestLogger.info("Processing Unifi Protect event", {
+        alarmName: eventData.alarm?.name,
+        eventType: this.extractEventType(eventData.alarm),
+        deviceCount: eventData.alarm?.triggers?.length || 0,
+      });
+
+      // Log the extracted data for debugging
+      requestLogger.info("Extracted event data", {
+        alarm: eventData.alarm,
+        timestamp: eventData.timestamp,
+        extractedEventType: this.extractEventType(eventData.alarm),
+        deviceInfo: this.extractDeviceInfo(eventData.alarm),
+        personInfo: this.extractPersonInfo(eventData.alarm),
+      });
+
+      // Apply quiet hours before the cooldown so dropped events don't open
+      // a cooldown window
+      let downgraded = false;
+      if (this.schedule) {
+        const decision = this.schedule.evaluate(
+          this.extractRoutingFacts(eventData.alarm),
+          new Date(eventData.timestamp || Date.now())
+        );
+
+        if (decision.action === "drop") {
+          requestLogger.info("Event dropped by schedule", decision);
+          this.recordHistory(historyId, {
+            schedule: decision,
+            delivery: { status: "dropped", deliveries: [] },
+          });
+
+          return {
+            historyId,
+            suppressed: false,
+            dropped: true,
+            schedule: decision,
+            delivered: 0,
+            queued: 0,
+            deliveries: [],
+          };
+        }
+
+        if (decision.action === "downgrade") {
+          requestLogger.info("Event downgraded by schedule", decision);
+          this.recordHistory(historyId, { schedule: decision });
+          downgraded = true;
+        }
+      }
+
+      // Cameras snoozed from Discord post nothing until the snooze runs out
+      if (this.interactions) {
+        const snooze = this.interactions.snoozes.check(
+          this.extractRoutingFacts(eventData.alarm).devices
+        );
+
+        if (snooze) {
+          requestLogger.info("Event suppressed by snooze", snooze);
+          this.recordHistory(historyId, {
+            delivery: { status: "snoozed", snooze },
+          });
+
+          return {
+            historyId,
+            suppressed: true,
+            snoozed: true,
+            snooze,
+            delivered: 0,
+            queued: 0,
+            deliveries: [],
+          };
+        }
+      }
+
+      // Drop repeated alarms for the same device inside the cooldown window
+      let suppressedCount = 0;
+      if (this.cooldown) {
+        const cooldown = this.cooldown.check(
+          this.extractRoutingFacts(eventData.alarm)
+        );
+
+        if (cooldown.suppressed) {
+          requestLogger.info("Event suppressed by cooldown", {
+            key: cooldown.key,
+            suppressedCount: cooldown.suppressedCount,
+            remainingMs: cooldown.remainingMs,
+          });
+
+          this.recordHistory(historyId, {
+            delivery: { status: "suppressed", cooldownKey: cooldown.key },
+          });
+
+          return {
+            historyId,
+            suppressed: true,
+            cooldown,
+            delivered: 0,
+            queued: 0,
+            deliveries: [],
+          };
+        }
+
+        suppressedCount = cooldown.suppressedCount;
+      }
+
+      // Downgraded events are posted without mentions or thumbnails
+      const destinations = this.resolveDestinations(eventData.alarm).map(
+        (destination) =>
+          downgraded ? { ...destination, mention: null } : destination
+      );
+      if (destinations.length === 0) {
+        throw new Error("No Discord webhook configured for this event");
+      }
+
+      requestLogger.info("Resolved event destinations", {
+        routes: destinations.map((destination) => destination.route),
+      });
+
+      // Buffer the event for a digest instead of posting it right away
+      if (this.aggregator) {
+        const digests = destinations.map((destination) => ({
+          route: destination.route,
+          ...this.aggregator.add(destination.webhookUrl, {
+            destination,
+            eventData,
+            requestId,
+            suppressedCount,
+            historyId,
+            downgraded,
+          }),
+        }));
+
+        requestLogger.info("Event buffered for digest", { digests });
+
+        // Sinks don't take digests, they get each event without attachment
+        this.notifySinks(eventData, null, requestId, historyId).catch((error) =>
+          requestLogger.error("Failed to notify sinks", {
+            error: error.message,
+          })
+        );
+        this.recordHistory(historyId, {
+          delivery: {
+            status: "buffered",
+            digestIds: digests.map((digest) => digest.digestId),
+          },
+        });
+
+        return {
+          historyId,
+          suppressed: false,
+          aggregated: true,
+          digests,
+          delivered: 0,
+          queued: 0,
+          deliveries: [],
+        };
+      }
+
+      // Extract event ID for thumbnail
+      const eventId = this.extractEventId(eventData.alarm);
+      const eventType = this.extractEventType(eventData.alarm);
+      const protect = this.getProtect(eventData);
+
+      const discordMessage = this.transformToDiscordFormat(eventData, {
+        suppressedCount,
+      });
+
+      if (this.interactions) {
+        discordMessage.components = this.interactions.buildComponents({
+          historyId,
+          devices: this.extractRoutingFacts(eventData.alarm).devices,
+          link: this.getEventLink(eventData.alarm, eventId, protect),
+        });
+      }
+
+      // Clips can only be exported once the event ends, so deliver those in
+      // the background instead of holding the webhook request open
+      if (
+        this.clips &&
+        eventId &&
+        !downgraded &&
+        this.clips.appliesTo(eventType, protect)
+      ) {
+        requestLogger.info("Delivery deferred until the event clip is ready", {
+          eventId,
+        });
+
+        this.deliverWithClip(
+          destinations,
+          discordMessage,
+          eventId,
+          eventType,
+          requestId,
+          historyId,
+          eventData,
+          protect
+        );
+
+        return {
+          historyId,
+          suppressed: false,
+          deferred: true,
+          delivered: 0,
+          queued: 0,
+          deliveries: [],
+        };
+      }
+
+      // Fetch thumbnail if credentials are available
+      let thumbnail = null;
+      if (eventId && !downgraded) {
+        thumbnail = await this.fetchThumbnail(
+          eventId,
+          requestId,
+          eventType,
+          protect,
+          this.getCameraId(eventData)
+        );
+      }
+
+      // Sinks are sent to alongside Discord so neither waits on the other
+      const [result, notifiers] = await Promise.all([
+        this.deliverToAll(
+          destinations,
+          discordMessage,
+          thumbnail,
+          requestId,
+          [historyId].filter(Boolean)
+        ),
+        this.notifySinks(eventData, thumbnail, requestId, historyId),
+      ]);
+
+      this.recordDelivery([historyId], result, eventId, thumbnail);
+
+      // Edit the posts with the final thumbnail once the event is over
+      if (this.eventUpdates && eventId && protect?.hasSession()) {
+        this.updateOnEventEnd(
+          destinations,
+          result.deliveries,
+          discordMessage,
+          {
+            eventId,
+            eventType,
+            withThumbnail: !downgraded,
+            protect,
+          },
+          requestId,
+          historyId
+        );
+      }
+
+      return { ...result, historyId, downgraded, notifiers };
     } catch (error) {
       requestLogger.error("Failed to process and send event", {
         error: error.message,
         eventData: eventData,
       });
+      this.recordHistory(historyId, {
+        delivery: { status: "failed", error: error.message },
+      });
       throw error;
     }
   }
+
+  /**
+   * Wait for a Protect event to end, then edit its Discord posts with the
+   * final thumbnail, duration and detection score. Errors are logged, not
+   * thrown.
+   * @param {Array<Object>} destinations - Destinations the event was sent to
+   * @param {Array<Object>} deliveries - Per-destination results, same order
+   * @param {Object} messageData - Discord message payload that was posted
+   * @param {Object} event - Event details
+   * @param {string} event.eventId - Protect event ID
+   * @param {string} event.eventType - Event type, selects the thumbnail mode
+   * @param {boolean} event.withThumbnail - Attach the final thumbnail, also
+   *   when the first fetch returned none
+   * @param {ProtectClient} event.protect - Client of the event's controller
+   * @param {string} requestId - Request ID for logging
+   * @param {string|null} historyId - History record of the event
+   * @returns {Promise<void>}
+   */
+  async updateOnEventEnd(
+    destinations,
+    deliveries,
+    messageData,
+    { eventId, eventType, withThumbnail, protect },
+    requestId,
+    historyId
+  ) {
+    const requestLogger = this.logger.child({ requestId });
+
+    // Queued deliveries have no message to edit yet
+    const posted = destinations
+      .map((destination, index) => ({
+        destination,
+        messageId: deliveries[index]?.messageId,
+      }))
+      .filter((post) => post.messageId);
+
+    if (posted.length === 0) {
+      return;
+    }
+
+    try {
+      const event = await protect.waitForEventEnd(eventId, {
+        maxWaitMs: this.eventUpdates.maxWaitMs,
+        pollIntervalMs: this.eventUpdates.pollIntervalMs,
+      });
+
+      if (!event.end) {
+        requestLogger.info("Event did not end in time, skipping update", {
+          eventId,
+        });
+        return;
+      }
+
+      const durationMs = event.end - event.start;
+      const embed = {
+        ...messageData.embeds[0],
+        fields: [
+          ...(messageData.embeds[0].fields || []),
+          { name: "Duration", value: formatDuration(durationMs), inline: true },
+        ],
+      };
+
+      if (typeof event.score === "number") {
+        embed.fields.push({
+          name: "Score",
+          value: `${event.score}%`,
+          inline: true,
+        });
+      }
+
+      const thumbnail = withThumbnail
+        ? await this.fetchThumbnail(eventId, requestId, eventType, protect)
+        : null;
+
+      await Promise.all(
+        posted.map(({ destination, messageId }) =>
+          this.updateMessage(
+            destination.webhookUrl,
+            messageId,
+            { embeds: [embed] },
+            thumbnail,
+            requestId
+          ).catch((error) =>
+            requestLogger.warn("Failed to update Discord message", {
+              route: destination.route,
+              messageId,
+              error: error.message,
+            })
+          )
+        )
+      );
+
+      this.recordHistory(historyId, {
+        eventEnd: {
+          endedAt: new Date(event.end).toISOString(),
+          durationMs,
+          score: event.score ?? null,
+        },
+      });
+    } catch (error) {
+      requestLogger.error("Failed to update posts on event end", {
+        eventId,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Edit a message previously sent through a webhook
+   * @param {string} webhookUrl - Webhook that sent the message
+   * @param {string} messageId - Discord message ID
+   * @param {Object} messageData - Fields to replace, e.g. embeds
+   * @param {Object|null} thumbnail - Thumbnail replacing the current upload
+   * @param {string} requestId - Request ID for logging
+   * @returns {Promise<Object>} Updated Discord message
+   */
+  async updateMessage(
+    webhookUrl,
+    messageId,
+    messageData,
+    thumbnail,
+    requestId
+  ) {
+    const requestLogger = this.logger.child({ requestId });
+    const url = new URL(webhookUrl);
+    url.pathname = `${url.pathname.replace(/\/$/, "")}/messages/${messageId}`;
+
+    let body = messageData;
+    let headers = { "Content-Type": "application/json" };
+
+    if (thumbnail) {
+      // Listing only the new file drops the attachment from the first post
+      body = new FormData();
+      body.append(
+        "payload_json",
+        JSON.stringify({
+          ...messageData,
+          attachments: [{ id: 0, filename: thumbnail.filename }],
+        })
+      );
+      body.append("files[0]", thumbnail.buffer, {
+        filename: thumbnail.filename,
+        contentType: thumbnail.contentType,
+      });
+      headers = body.getHeaders();
+    }
+
+    await this.waitForRateLimit(webhookUrl, requestLogger);
+
+    try {
+      const response = await metrics.observeDiscordSend(() =>
+        axios.patch(url.toString(), body, { headers, timeout: 15000 })
+      );
+
+      this.recordRateLimit(webhookUrl, response);
+      requestLogger.info("Updated Discord message", {
+        messageId,
+        withThumbnail: !!thumbnail,
+      });
+
+      return response.data;
+    } catch (error) {
+      this.recordRateLimit(webhookUrl, error.response);
+      throw createDeliveryError(error);
+    }
+  }
+
+  /**
+   * Export the event clip and deliver it, falling back to the thumbnail when
+   * the clip is unavailable or too large. Errors are logged, not thrown.
+   * @param {Array<Object>} destinations - Destinations from resolveDestinations
+   * @param {Object} messageData - Discord message payload
+   * @param {string} eventId - Protect event ID
+   * @param {string} eventType - Event type, selects the thumbnail mode
+   * @param {string} requestId - Request ID for logging
+   * @param {string|null} historyId - History record of the event
+   * @param {Object} eventData - Unifi Protect event data, for the sinks
+   * @param {ProtectClient} protect - Client of the event's controller
+   * @returns {Promise<Object|null>} Delivery summary, or null if it failed
+   */
+  async deliverWithClip(
+    destinations,
+    messageData,
+    eventId,
+    eventType,
+    requestId,
+    historyId,
+    eventData,
+    protect
+  ) {
+    const requestLogger = this.logger.child({ requestId });
+
+    try {
+      const attachment =
+        (await this.clips.fetch(eventId, requestLogger, protect)) ||
+        (await this.fetchThumbnail(eventId, requestId, eventType, protect));
+
+      const [result] = await Promise.all([
+        this.deliverToAll(
+          destinations,
+          messageData,
+          attachment,
+          requestId,
+          [historyId].filter(Boolean)
+        ),
+        this.notifySinks(eventData, attachment, requestId, historyId),
+      ]);
+
+      this.recordDelivery([historyId], result, eventId, attachment);
+      return result;
+    } catch (error) {
+      requestLogger.error("Failed to deliver event with clip", {
+        eventId,
+        error: error.message,
+      });
+      this.recordHistory(historyId, {
+        delivery: { status: "failed", error: error.message },
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Deliver one message to several destinations and summarize the results
+   * @param {Array<Object>} destinations - Route names and webhook URLs
+   * @param {Object} messageData - Message data to send
+   * @param {Object|null} thumbnail - Thumbnail from fetchThumbnail
+   * @param {string} requestId - Request ID for logging
+   * @param {Array<string>} historyIds - History records the message covers
+   * @returns {Promise<Object>} First Discord message ID and per-webhook results
+   */
+  async deliverToAll(
+    destinations,
+    messageData,
+    thumbnail,
+    requestId,
+    historyIds = []
+  ) {
+    const requestLogger = this.logger.child({ requestId });
+
+    const results = await Promise.allSettled(
+      destinations.map((destination) =>
+        this.deliver(destination, messageData, thumbnail, requestId, historyIds)
+      )
+    );
+
+    const deliveries = destinations.map((destination, index) =>
+      results[index].status === "fulfilled"
+        ? results[index].value
+        : {
+            route: destination.route,
+            success: false,
+            error: results[index].reason.message,
+          }
+    );
+
+    const delivered = deliveries.filter((delivery) => delivery.success);
+    const queued = deliveries.filter(
+      (delivery) => delivery.queued || delivery.deadLettered
+    );
+
+    if (delivered.length === 0 && queued.length === 0) {
+      throw results[0].reason;
+    }
+
+    requestLogger.info("Event processed", {
+      delivered: delivered.length,
+      queued: queued.length,
+      failed: deliveries.length - delivered.length - queued.length,
+    });
+
+    return {
+      id: delivered[0]?.messageId,
+      suppressed: false,
+      delivered: delivered.length,
+      queued: queued.length,
+      deliveries,
+    };
+  }
+
+  /**
+   * Pick the most interesting event of a burst, used for the digest thumbnail
+   * @param {Array<Object>} events - Unifi Protect event data
+   * @returns {Object} Highest priority event, preferring ones with an event ID
+   */
+  pickBestEvent(events) {
+    const score = (eventData) => {
+      const index = EVENT_PRIORITY.indexOf(
+        this.extractEventType(eventData.alarm)
+      );
+      const priority = index === -1 ? EVENT_PRIORITY.length : index;
+      return this.extractEventId(eventData.alarm) ? priority : priority + 100;
+    };
+
+    return events.reduce((best, eventData) =>
+      score(eventData) < score(best) ? eventData : best
+    );
+  }
+
+  /**
+   * Transform a burst of Unifi Protect events into one Discord digest
+   * @param {Array<Object>} events - Unifi Protect event data
+   * @param {Object} options - Rendering options passed to transformToDiscordFormat
+   * @returns {Object} Discord message payload
+   */
+  transformToDiscordDigest(events, options = {}) {
+    const best = this.pickBestEvent(events);
+    const message = this.transformToDiscordFormat(best, options);
+    const embed = message.embeds[0];
+    const bestConfig = this.getEventConfig(this.extractEventType(best.alarm));
+
+    const lines = events.map((eventData) => {
+      const eventConfig = this.getEventConfig(
+        this.extractEventType(eventData.alarm)
+      );
+      const device =
+        this.extractDeviceInfo(eventData.alarm) || "Unknown device";
+      const personInfo = this.extractPersonInfo(eventData.alarm);
+      const person = personInfo?.name ? ` (${personInfo.name})` : "";
+      const seconds = Math.floor(
+        new Date(eventData.timestamp || Date.now()).getTime() / 1000
+      );
+
+      return `${eventConfig.emoji} <t:${seconds}:T> ${eventConfig.title} - ${device}${person}`;
+    });
+
+    let activity = lines.join("\n");
+    if (activity.length > 1024) {
+      activity = activity.substring(0, 1020) + "\n...";
+    }
+
+    embed.title = "Unifi Protect Alert Digest";
+    embed.description = [
+      ...new Set(events.map((eventData) => eventData.alarm.name)),
+    ].join(", ");
+    embed.fields.unshift({
+      name: `Activity (${events.length} events)`,
+      value: activity,
+      inline: false,
+    });
+
+    message.content = `${bestConfig.emoji} **${events.length} events detected**`;
+    return message;
+  }
+
+  /**
+   * Send a buffered burst of events to one destination
+   * @param {Object} destination - Route name and webhook URL
+   * @param {Array<Object>} items - Buffered events from processAndSend
+   * @param {string} digestId - Digest ID used for logging
+   * @returns {Promise<Object>} Delivery summary
+   */
+  async sendDigest(destination, items, digestId) {
+    const requestLogger = this.logger.child({ requestId: digestId });
+    const events = items.map((item) => item.eventData);
+    const suppressedCount = items.reduce(
+      (total, item) => total + item.suppressedCount,
+      0
+    );
+
+    requestLogger.info("Sending event digest", {
+      route: destination.route,
+      events: events.length,
+      requestIds: items.map((item) => item.requestId),
+    });
+
+    // A digest keeps its thumbnail and mention unless every event in it
+    // was downgraded by the schedule
+    const fullItem = items.find((item) => !item.downgraded);
+    if (fullItem) {
+      destination = fullItem.destination;
+    }
+
+    const best = this.pickBestEvent(events);
+    const eventId = this.extractEventId(best.alarm);
+    const thumbnail =
+      eventId && fullItem
+        ? await this.fetchThumbnail(
+            eventId,
+            digestId,
+            this.extractEventType(best.alarm),
+            this.getProtect(best),
+            this.getCameraId(best)
+          )
+        : null;
+
+    const discordMessage =
+      events.length === 1
+        ? this.transformToDiscordFormat(best, { suppressedCount })
+        : this.transformToDiscordDigest(events, { suppressedCount });
+
+    const historyIds = items.map((item) => item.historyId).filter(Boolean);
+
+    try {
+      const result = await this.deliverToAll(
+        [destination],
+        discordMessage,
+        thumbnail,
+        digestId,
+        historyIds
+      );
+
+      this.recordDelivery(historyIds, result, eventId, thumbnail);
+      return result;
+    } catch (error) {
+      historyIds.forEach((historyId) =>
+        this.recordHistory(historyId, {
+          delivery: { status: "failed", error: error.message },
+        })
+      );
+      throw error;
+    }
+  }
+}
+
+/**
+ * Check thumbnail modes from the configuration
+ * @param {string} thumbnailMode - Default thumbnail mode
+ * @param {Object} thumbnailModes - Thumbnail mode per event type
+ * @throws {Error} If a mode is unknown
+ */
+function validateThumbnailModes(thumbnailMode, thumbnailModes) {
+  for (const mode of [thumbnailMode, ...Object.values(thumbnailModes)]) {
+    if (!THUMBNAIL_MODES.includes(mode)) {
+      throw new Error(`Unknown thumbnail mode "${mode}"`);
+    }
+  }
+}
+
+/**
+ * Prefix a route's mention so Discord notifies the role or user
+ * @param {Object} messageData - Discord message payload
+ * @param {string|null} mention - Mention from the route
+ * @returns {Object} Payload to post
+ */
+function withMention(messageData, mention) {
+  if (!mention) {
+    return messageData;
+  }
+
+  return {
+    ...messageData,
+    content: `${mention} ${messageData.content || ""}`.trim(),
+  };
+}
+
+/**
+ * Query parameters for webhook posts
+ * @param {Object} messageData - Discord message payload
+ * @returns {Object} Query parameters
+ */
+function getWebhookParams(messageData) {
+  // wait makes Discord return the created message so we can edit it later.
+  // Webhooks ignore components unless with_components is set.
+  return messageData.components
+    ? { wait: true, with_components: true }
+    : { wait: true };
+}
+
+/**
+ * Format a duration such as "8s" or "1m 12s"
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Human readable duration
+ */
+function formatDuration(ms) {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  const minutes = Math.floor(seconds / 60);
+
+  return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+/**
+ * Protect path a thumbnail is downloaded from, for logs and previews
+ * @param {string} mode - animated, static or snapshot
+ * @param {string} eventId - Event ID
+ * @param {string} cameraId - Protect camera ID, for snapshots
+ * @returns {string} Request path
+ */
+function getThumbnailPath(mode, eventId, cameraId) {
+  if (mode === "snapshot") {
+    return `/proxy/protect/integration/v1/cameras/${cameraId}/snapshot`;
+  }
+
+  return mode === "animated"
+    ? `/proxy/protect/api/events/${eventId}/animated-thumbnail`
+    : `/proxy/protect/api/events/${eventId}/thumbnail`;
+}
+
+/**
+ * Identify an image by its magic bytes
+ * @param {Buffer} buffer - Image data
+ * @returns {Object} File extension and content type
+ */
+function detectImageType(buffer) {
+  const header = buffer.subarray(0, 12);
+
+  if (header.toString("ascii", 0, 4) === "GIF8") {
+    return { extension: "gif", contentType: "image/gif" };
+  }
+  if (header.toString("hex", 0, 4) === "89504e47") {
+    return { extension: "png", contentType: "image/png" };
+  }
+  if (
+    header.toString("ascii", 0, 4) === "RIFF" &&
+    header.toString("ascii", 8, 12) === "WEBP"
+  ) {
+    return { extension: "webp", contentType: "image/webp" };
+  }
+
+  // Protect's static thumbnails are JPEG
+  return { extension: "jpg", contentType: "image/jpeg" };
+}
+
+/**
+ * Read how long Discord asked us to wait from a response
+ * @param {Object} response - Axios response
+ * @returns {number|null} Wait time in milliseconds
+ */
+function getRetryAfterMs(response) {
+  const retryAfter =
+    response?.data?.retry_after ??
+    response?.headers?.["retry-after"] ??
+    response?.headers?.["x-ratelimit-reset-after"];
+
+  const seconds = parseFloat(retryAfter);
+  return Number.isFinite(seconds) ? Math.ceil(seconds * 1000) : null;
+}
+
+/**
+ * Wrap an axios error with the details the retry queue needs
+ * @param {Error} error - Original error
+ * @returns {Error} Error with statusCode, retryAfterMs and retryable
+ */
+function createDeliveryError(error) {
+  if (error.retryable !== undefined) {
+    return error;
+  }
+
+  const statusCode = error.response?.status;
+  const deliveryError = new Error(`Discord webhook failed: ${error.message}`);
+  deliveryError.statusCode = statusCode;
+  deliveryError.retryAfterMs = getRetryAfterMs(error.response);
+  // Network errors, rate limits and server errors are worth retrying;
+  // other 4xx responses mean the payload or webhook itself is bad
+  deliveryError.retryable =
+    !statusCode || statusCode === 429 || statusCode >= 500;
+
+  return deliveryError;
 }
 
 module.exports = DiscordService;
@@ -0,0 +1,187 @@
+const fs = require("fs");
+const path = require("path");
+const { createLogger } = require("../utils/logger");
+
+const logger = createLogger();
+
+/**
+ * Persistent event history backed by an append-only JSONL file
+ *
+ * Every write appends the full record as one line; on startup the file is
+ * replayed and the last line for each ID wins. When the file grows past
+ * twice the retention limit it is compacted down to the newest records.
+ */
+class EventHistory {
+  /**
+   * @param {Object} options - History options
+   * @param {string} options.file - Path of the JSONL file
+   * @param {number} options.maxEvents - Number of events to retain
+   */
+  constructor(options = {}) {
+    this.file = options.file || path.join("data", "events.jsonl");
+    this.maxEvents = options.maxEvents || 10000;
+    this.records = new Map();
+    this.lineCount = 0;
+    this.logger = logger.child({ service: "history" });
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    this.load();
+  }
+
+  /**
+   * Replay the JSONL file into memory
+   */
+  load() {
+    if (!fs.existsSync(this.file)) {
+      return;
+    }
+
+    const lines = fs.readFileSync(this.file, "utf8").split("\n");
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+
+      try {
+        const record = JSON.parse(line);
+        // Re-insert so Map order follows the latest write
+        this.records.delete(record.id);
+        this.records.set(record.id, record);
+        this.lineCount += 1;
+      } catch (error) {
+        this.logger.warn("Skipping corrupt history line", {
+          error: error.message,
+        });
+      }
+    }
+
+    this.logger.info("Event history loaded", {
+      file: this.file,
+      events: this.records.size,
+    });
+  }
+
+  /**
+   * Store a new normalized event
+   * @param {Object} event - Normalized event from DiscordService.normalizeEvent
+   * @returns {string} History record ID
+   */
+  record(event) {
+    const id = `evt_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    this.write({
+      id,
+      ...event,
+      thumbnail: null,
+      delivery: { status: "pending", deliveries: [] },
+      discordMessageId: null,
+      updatedAt: new Date().toISOString(),
+    });
+
+    return id;
+  }
+
+  /**
+   * Merge fields into an existing record
+   * @param {string} id - History record ID
+   * @param {Object} fields - Fields to update
+   * @returns {Object|null} Updated record, or null if not found
+   */
+  update(id, fields) {
+    const record = this.records.get(id);
+    if (!record) {
+      return null;
+    }
+
+    const updated = {
+      ...record,
+      ...fields,
+      updatedAt: new Date().toISOString(),
+    };
+    this.write(updated);
+    return updated;
+  }
+
+  /**
+   * Get a single record
+   * @param {string} id - History record ID
+   * @returns {Object|null} Record, or null if not found
+   */
+  get(id) {
+    return this.records.get(id) || null;
+  }
+
+  /**
+   * Query stored events, newest first
+   * @param {Object} filters - Query filters
+   * @param {number} filters.from - Earliest event time (epoch ms)
+   * @param {number} filters.to - Latest event time (epoch ms)
+   * @param {string} filters.camera - Device MAC or camera name
+   * @param {string} filters.type - Event type
+   * @param {string} filters.person - Recognized person name
+   * @param {number} filters.limit - Maximum number of results
+   * @returns {Array<Object>} Matching records
+   */
+  query(filters = {}) {
+    const camera = filters.camera?.toLowerCase();
+    const type = filters.type?.toLowerCase();
+    const person = filters.person?.toLowerCase();
+    const limit = filters.limit || 100;
+    const results = [];
+
+    const records = [...this.records.values()].sort(
+      (a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp)
+    );
+
+    for (const record of records) {
+      const time = Date.parse(record.timestamp);
+
+      if (filters.from && time < filters.from) continue;
+      if (filters.to && time > filters.to) continue;
+      if (type && record.eventType?.toLowerCase() !== type) continue;
+      if (person && record.person?.toLowerCase() !== person) continue;
+      if (
+        camera &&
+        ![...(record.devices || []), ...(record.cameras || [])].some(
+          (device) => device.toLowerCase() === camera
+        )
+      ) {
+        continue;
+      }
+
+      results.push(record);
+      if (results.length >= limit) break;
+    }
+
+    return results;
+  }
+
+  write(record) {
+    this.records.delete(record.id);
+    this.records.set(record.id, record);
+    fs.appendFileSync(this.file, JSON.stringify(record) + "\n");
+    this.lineCount += 1;
+
+    if (this.lineCount > this.maxEvents * 2) {
+      this.compact();
+    }
+  }
+
+  /**
+   * Rewrite the file with only the newest records
+   */
+  compact() {
+    const keep = [...this.records.values()].slice(-this.maxEvents);
+
+    this.records = new Map(keep.map((record) => [record.id, record]));
+    fs.writeFileSync(
+      `${this.file}.tmp`,
+      keep.map((record) => JSON.stringify(record) + "\n").join("")
+    );
+    fs.renameSync(`${this.file}.tmp`, this.file);
+    this.lineCount = keep.length;
+
+    this.logger.info("Event history compacted", { events: keep.length });
+  }
+}
+
+module.exports = EventHistory;
@@ -0,0 +1,148 @@
+// Protect event types that carry smart detections in smartDetectTypes
+const SMART_EVENT_TYPES = [
+  "smartDetectZone",
+  "smartDetectLine",
+  "smartDetectLoiterZone",
+  "smartDetectObject",
+  "smartAudioDetect",
+];
+
+// Event types with a camera thumbnail worth posting
+const THUMBNAIL_EVENT_TYPES = ["motion", "ring", ...SMART_EVENT_TYPES];
+
+// Forget events this long after they were last seen
+const DEFAULT_MAX_AGE_MS = 60 * 60 * 1000;
+
+/**
+ * Tracks Protect events seen by an ingester and the detections already
+ * posted for each, so an event whose smart detections arrive in later
+ * updates is posted once per detection type
+ */
+class EventTracker {
+  /**
+   * @param {Object} options - Tracker options
+   * @param {Array<string>} options.detections - Detection types to post,
+   *   or ["*"] for all
+   * @param {number} options.maxAgeMs - How long events are remembered
+   */
+  constructor(options = {}) {
+    this.detections = (options.detections || ["*"]).map((type) =>
+      type.toLowerCase()
+    );
+    this.maxAgeMs = options.maxAgeMs || DEFAULT_MAX_AGE_MS;
+    this.events = new Map();
+  }
+
+  /**
+   * Merge an added or updated event and return its new detections
+   * @param {Object} fields - Full event (add) or changed fields (update),
+   *   with the event ID as `id`
+   * @returns {Object} The merged event and detection types not posted yet
+   */
+  update(fields) {
+    this.prune();
+
+    const entry = this.events.get(fields.id) || {
+      event: {},
+      posted: new Set(),
+    };
+    entry.event = { ...entry.event, ...fields };
+    entry.seenAt = Date.now();
+    this.events.set(fields.id, entry);
+
+    const detections = getDetections(entry.event).filter(
+      (type) =>
+        !entry.posted.has(type) &&
+        (this.detections.includes("*") ||
+          this.detections.includes(type.toLowerCase()))
+    );
+    detections.forEach((type) => entry.posted.add(type));
+
+    return { event: entry.event, detections };
+  }
+
+  prune() {
+    const cutoff = Date.now() - this.maxAgeMs;
+    for (const [id, entry] of this.events) {
+      if (entry.seenAt < cutoff) this.events.delete(id);
+    }
+  }
+}
+
+/**
+ * Detection types of a Protect event, e.g. ["motion"], ["ring"] or
+ * ["person", "vehicle"]
+ * @param {Object} event - Protect event
+ * @returns {Array<string>} Detection types, empty if not yet known
+ */
+function getDetections(event) {
+  if (event.type === "motion" || event.type === "ring") {
+    return [event.type];
+  }
+
+  if (SMART_EVENT_TYPES.includes(event.type)) {
+    return event.smartDetectTypes || [];
+  }
+
+  return [];
+}
+
+/**
+ * Keep the events that belong to a camera and have a thumbnail
+ * @param {Array<Object>} events - Events from ProtectClient.getEvents
+ * @returns {Array<Object>} Events worth posting
+ */
+function filterThumbnailEvents(events) {
+  return (events || []).filter(
+    (event) => !!event.camera && THUMBNAIL_EVENT_TYPES.includes(event.type)
+  );
+}
+
+/**
+ * Build the alarm webhook payload for one detection of a Protect event so
+ * it can go through DiscordService.processAndSend
+ * @param {Object} event - Protect event
+ * @param {string} detection - Detection type
+ * @param {Object} camera - Camera with mac and name from the bootstrap
+ * @param {string} controller - Name of the controller the event came from
+ * @returns {Object} Event data in the Alarm Manager webhook format
+ */
+function toEventData(event, detection, camera, controller) {
+  return {
+    controller,
+    alarm: {
+      name: `${camera.name}: ${detection}`,
+      sources: [{ device: camera.mac, type: "include" }],
+      conditions: [{ condition: { type: "is", source: detection } }],
+      triggers: [{ key: detection, device: camera.mac, eventId: event.id }],
+    },
+    timestamp: event.start || Date.now(),
+  };
+}
+
+/**
+ * Map Protect camera IDs to MAC addresses and names
+ * @param {Object} bootstrap - Protect bootstrap
+ * @returns {Map<string, Object>} Cameras by ID
+ */
+function mapCameras(bootstrap) {
+  return new Map(
+    (bootstrap.cameras || []).map((camera) => [
+      camera.id,
+      {
+        mac: String(camera.mac)
+          .replace(/[^0-9a-f]/gi, "")
+          .toUpperCase(),
+        name: camera.name || camera.displayName || camera.mac,
+      },
+    ])
+  );
+}
+
+module.exports = {
+  EventTracker,
+  getDetections,
+  filterThumbnailEvents,
+  toEventData,
+  mapCameras,
+};
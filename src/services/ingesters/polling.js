@@ -0,0 +1,256 @@
+const fs = require("fs");
+const path = require("path");
+const { createLogger } = require("../../utils/logger");
+const { generateRequestId } = require("../../utils/validator");
+const metrics = require("../../utils/metrics");
+const {
+  getDetections,
+  filterThumbnailEvents,
+  toEventData,
+  mapCameras,
+} = require("./events");
+
+const logger = createLogger();
+
+// Events fetched per request
+const PAGE_SIZE = 100;
+
+/**
+ * Ingests events by polling Protect's event list on an interval
+ *
+ * A cursor with the start time of the last posted event, and the IDs of
+ * the events posted at that time, is persisted after every event so each
+ * event is posted exactly once across polls and restarts. Events are only
+ * posted once they have ended, when their smart detections are final; an
+ * event still running holds the cursor until it ends or exceeds maxOpenMs.
+ */
+class PollingIngester {
+  /**
+   * @param {Object} options - Ingester options
+   * @param {ProtectClient} options.protect - Protect client
+   * @param {DiscordService} options.discord - Service that posts events
+   * @param {Array<string>} options.detections - Detection types to post,
+   *   or ["*"] for all
+   * @param {number} options.intervalMs - Time between polls
+   * @param {string} options.cursorFile - JSON file holding the cursor
+   * @param {number} options.initialLookbackMs - How far back the first poll
+   *   without a cursor reaches
+   * @param {number} options.maxOpenMs - Post events still running after this
+   */
+  constructor(options = {}) {
+    this.protect = options.protect;
+    this.discord = options.discord;
+    this.detections = (options.detections || ["*"]).map((type) =>
+      type.toLowerCase()
+    );
+    this.intervalMs = options.intervalMs || 60000;
+    this.cursorFile =
+      options.cursorFile || path.join("data", "poll-cursor.json");
+    this.initialLookbackMs = options.initialLookbackMs || 0;
+    this.maxOpenMs = options.maxOpenMs || 10 * 60 * 1000;
+    this.cameras = new Map();
+    this.timer = null;
+    this.polling = false;
+    this.logger = logger.child({
+      service: "polling",
+      controller: this.protect.name,
+    });
+
+    fs.mkdirSync(path.dirname(this.cursorFile), { recursive: true });
+    this.cursor = this.loadCursor();
+  }
+
+  /**
+   * Poll now and then on every interval
+   */
+  start() {
+    this.timer = setInterval(() => this.poll(), this.intervalMs);
+    this.timer.unref();
+
+    this.logger.info("Event polling started", {
+      intervalMs: this.intervalMs,
+      cursor: this.cursor,
+    });
+
+    this.poll();
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Fetch and post every event after the cursor
+   * @returns {Promise<number>} Number of events posted
+   */
+  async poll() {
+    if (this.polling) {
+      return 0;
+    }
+
+    this.polling = true;
+    let posted = 0;
+
+    try {
+      if (this.cameras.size === 0) {
+        await this.loadCameras();
+      }
+
+      // Page through the events after the cursor, oldest first
+      for (;;) {
+        const page = await this.protect.getEvents({
+          start: this.cursor.timestamp,
+          end: Date.now(),
+          limit: PAGE_SIZE,
+          orderDirection: "ASC",
+        });
+        const events = (page || [])
+          .filter((event) => this.isAfterCursor(event))
+          .sort((a, b) => a.start - b.start);
+        const postable = new Set(filterThumbnailEvents(events));
+
+        for (const event of events) {
+          if (
+            postable.has(event) &&
+            !event.end &&
+            Date.now() - event.start < this.maxOpenMs
+          ) {
+            // Smart detections aren't final yet; pick it up next poll
+            return posted;
+          }
+
+          // Other event types only move the cursor
+          if (postable.has(event)) {
+            posted += await this.ingest(event);
+          }
+          this.advanceCursor(event);
+        }
+
+        if (!page || page.length < PAGE_SIZE || events.length === 0) {
+          return posted;
+        }
+      }
+    } catch (error) {
+      this.logger.error("Failed to poll Protect events", {
+        error: error.message,
+        statusCode: error.response?.status,
+      });
+      return posted;
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Post the detections of one event through the normal pipeline
+   * @param {Object} event - Protect event
+   * @returns {Promise<number>} Number of detections posted
+   */
+  async ingest(event) {
+    if (!this.cameras.has(event.camera)) {
+      // A camera adopted since the last bootstrap
+      await this.loadCameras();
+    }
+
+    const camera = this.cameras.get(event.camera);
+    if (!camera) {
+      this.logger.warn("Event for unknown camera, skipping", {
+        eventId: event.id,
+        camera: event.camera,
+      });
+      return 0;
+    }
+
+    const detections = getDetections(event).filter(
+      (type) =>
+        this.detections.includes("*") ||
+        this.detections.includes(type.toLowerCase())
+    );
+
+    for (const detection of detections) {
+      const requestId = generateRequestId();
+      metrics.ingestedEvents.inc({ source: "polling", event_type: detection });
+      this.logger.info("Ingesting Protect event", {
+        requestId,
+        eventId: event.id,
+        detection,
+        camera: camera.name,
+      });
+
+      try {
+        await this.discord.processAndSend(
+          toEventData(event, detection, camera, this.protect.name),
+          requestId
+        );
+      } catch (error) {
+        // Failed deliveries are queued or logged by DiscordService; posting
+        // the event again on the next poll would duplicate the others
+        this.logger.error("Failed to process polled event", {
+          requestId,
+          eventId: event.id,
+          error: error.message,
+        });
+      }
+    }
+
+    return detections.length;
+  }
+
+  async loadCameras() {
+    this.cameras = mapCameras(await this.protect.getBootstrap());
+  }
+
+  isAfterCursor(event) {
+    return (
+      event.start > this.cursor.timestamp ||
+      (event.start === this.cursor.timestamp &&
+        !this.cursor.eventIds.includes(event.id))
+    );
+  }
+
+  advanceCursor(event) {
+    this.cursor =
+      event.start === this.cursor.timestamp
+        ? {
+            ...this.cursor,
+            lastEventId: event.id,
+            eventIds: [...this.cursor.eventIds, event.id],
+          }
+        : {
+            timestamp: event.start,
+            lastEventId: event.id,
+            eventIds: [event.id],
+          };
+
+    fs.writeFileSync(`${this.cursorFile}.tmp`, JSON.stringify(this.cursor));
+    fs.renameSync(`${this.cursorFile}.tmp`, this.cursorFile);
+  }
+
+  loadCursor() {
+    try {
+      const cursor = JSON.parse(fs.readFileSync(this.cursorFile, "utf8"));
+      return { eventIds: [], ...cursor };
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        this.logger.warn("Ignoring unreadable poll cursor", {
+          file: this.cursorFile,
+          error: error.message,
+        });
+      }
+
+      return {
+        timestamp: Date.now() - this.initialLookbackMs,
+        lastEventId: null,
+        eventIds: [],
+      };
+    }
+  }
+}
+
+module.exports = PollingIngester;
@@ -0,0 +1,362 @@
+const zlib = require("zlib");
+const WebSocket = require("ws");
+const { createLogger } = require("../../utils/logger");
+const { generateRequestId } = require("../../utils/validator");
+const metrics = require("../../utils/metrics");
+const { EventTracker, toEventData, mapCameras } = require("./events");
+
+const logger = createLogger();
+
+// Update frames start with an 8-byte header
+const FRAME_HEADER_SIZE = 8;
+const PAYLOAD_FORMATS = { JSON: 1, STRING: 2, BUFFER: 3 };
+
+/**
+ * Ingests events from Protect's realtime updates websocket
+ *
+ * Protect pushes every change to its models over
+ * /proxy/protect/ws/updates as binary packets of an action frame (what
+ * changed) and a data frame (the changed fields). Added and updated events
+ * are turned into alarm payloads and run through
+ * DiscordService.processAndSend like Alarm Manager webhooks.
+ *
+ * With an API key the Integration API's event subscription is used
+ * instead, which sends each added or updated event as a JSON message.
+ *
+ * The connection is reopened with exponential backoff when it drops, and a
+ * ping every heartbeat interval detects connections that died silently.
+ */
+class WebSocketIngester {
+  /**
+   * @param {Object} options - Ingester options
+   * @param {ProtectClient} options.protect - Protect client
+   * @param {DiscordService} options.discord - Service that posts events
+   * @param {Array<string>} options.detections - Detection types to post,
+   *   or ["*"] for all
+   * @param {number} options.minBackoffMs - First reconnect delay
+   * @param {number} options.maxBackoffMs - Longest reconnect delay
+   * @param {number} options.heartbeatMs - Ping interval
+   */
+  constructor(options = {}) {
+    this.protect = options.protect;
+    this.discord = options.discord;
+    this.tracker = new EventTracker({ detections: options.detections });
+    this.minBackoffMs = options.minBackoffMs || 1000;
+    this.maxBackoffMs = options.maxBackoffMs || 60000;
+    this.heartbeatMs = options.heartbeatMs || 30000;
+    this.cameras = new Map();
+    this.socket = null;
+    this.attempts = 0;
+    this.reconnectTimer = null;
+    this.heartbeatTimer = null;
+    this.stopped = true;
+    this.logger = logger.child({
+      service: "websocket",
+      controller: this.protect.name,
+    });
+  }
+
+  /**
+   * Connect and keep the connection open until stop is called
+   */
+  start() {
+    this.stopped = false;
+    this.connect();
+  }
+
+  /**
+   * Close the connection and stop reconnecting
+   */
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.reconnectTimer);
+    clearInterval(this.heartbeatTimer);
+
+    if (this.socket) {
+      this.socket.removeAllListeners();
+      this.socket.on("error", () => {});
+      this.socket.terminate();
+      this.socket = null;
+    }
+
+    metrics.websocketConnected.set({ controller: this.protect.name }, 0);
+  }
+
+  async connect() {
+    try {
+      // The bootstrap maps camera IDs to MACs and tells us where updates start
+      const bootstrap = await this.protect.getBootstrap();
+      this.cameras = mapCameras(bootstrap);
+
+      const { url, headers } = await this.getConnection(bootstrap);
+
+      if (this.stopped) return;
+
+      this.logger.info("Connecting to Protect updates websocket", {
+        host: this.protect.host,
+        auth: this.protect.getAuthMethod(),
+        cameras: this.cameras.size,
+      });
+
+      const socket = new WebSocket(url, {
+        headers,
+        // Same certificate checks as the Protect API requests
+        agent: this.protect.agent,
+      });
+      this.socket = socket;
+
+      socket.on("open", () => this.handleOpen(socket));
+      socket.on("message", (data) => this.handleMessage(data));
+      socket.on("pong", () => {
+        socket.isAlive = true;
+      });
+      socket.on("error", (error) => {
+        // Protect answers the upgrade with 401 once the session expired
+        if (/\b401\b/.test(error.message)) {
+          this.protect.invalidate();
+        }
+
+        this.logger.error("Protect updates websocket error", {
+          error: error.message,
+        });
+      });
+      socket.on("close", (code) => this.handleClose(socket, code));
+    } catch (error) {
+      this.logger.error("Failed to connect to Protect updates websocket", {
+        error: error.message,
+        statusCode: error.response?.status,
+      });
+      this.scheduleReconnect();
+    }
+  }
+
+  /**
+   * URL and headers of the websocket: the Integration API's event
+   * subscription with an API key, else the updates feed with the session
+   * @param {Object} bootstrap - Bootstrap, where updates start
+   * @returns {Promise<Object>} URL and headers
+   */
+  async getConnection(bootstrap) {
+    // https becomes wss and http (the local emulator) ws
+    const origin = this.protect.baseUrl.replace(/^http/, "ws");
+
+    if (this.protect.apiKey) {
+      return {
+        url: `${origin}/proxy/protect/integration/v1/subscribe/events`,
+        headers: { "X-API-KEY": this.protect.apiKey },
+      };
+    }
+
+    const token = await this.protect.getToken();
+    return {
+      url: `${origin}/proxy/protect/ws/updates?lastUpdateId=${bootstrap.lastUpdateId}`,
+      headers: { Cookie: `TOKEN=${token}` },
+    };
+  }
+
+  handleOpen(socket) {
+    this.attempts = 0;
+    metrics.websocketConnected.set({ controller: this.protect.name }, 1);
+    this.logger.info("Connected to Protect updates websocket");
+
+    socket.isAlive = true;
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = setInterval(() => {
+      if (!socket.isAlive) {
+        this.logger.warn("Protect updates websocket stopped responding");
+        socket.terminate();
+        return;
+      }
+
+      socket.isAlive = false;
+      socket.ping();
+    }, this.heartbeatMs);
+  }
+
+  handleClose(socket, code) {
+    if (socket !== this.socket) return;
+
+    clearInterval(this.heartbeatTimer);
+    metrics.websocketConnected.set({ controller: this.protect.name }, 0);
+    this.socket = null;
+
+    if (!this.stopped) {
+      this.logger.warn("Protect updates websocket closed", { code });
+      this.scheduleReconnect();
+    }
+  }
+
+  scheduleReconnect() {
+    if (this.stopped) return;
+
+    // Exponential backoff with up to 20% jitter
+    const backoff = Math.min(
+      this.maxBackoffMs,
+      this.minBackoffMs * 2 ** this.attempts
+    );
+    const delay = Math.round(backoff * (1 + Math.random() * 0.2));
+    this.attempts++;
+
+    this.logger.info("Reconnecting to Protect updates websocket", {
+      attempt: this.attempts,
+      delayMs: delay,
+    });
+
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = setTimeout(() => this.connect(), delay);
+  }
+
+  handleMessage(data) {
+    let packet;
+    try {
+      packet = this.protect.apiKey
+        ? decodeIntegrationMessage(data)
+        : decodeUpdatePacket(data);
+    } catch (error) {
+      this.logger.warn("Failed to decode Protect update", {
+        error: error.message,
+        size: data.length,
+      });
+      return;
+    }
+
+    const { action, payload } = packet;
+    if (
+      action.modelKey !== "event" ||
+      !["add", "update"].includes(action.action) ||
+      !payload ||
+      typeof payload !== "object"
+    ) {
+      return;
+    }
+
+    const { event, detections } = this.tracker.update({
+      ...payload,
+      id: action.id,
+    });
+
+    for (const detection of detections) {
+      this.ingest(event, detection);
+    }
+  }
+
+  /**
+   * Post one detection of an event through the normal pipeline
+   * @param {Object} event - Merged Protect event
+   * @param {string} detection - Detection type
+   */
+  ingest(event, detection) {
+    const camera = this.cameras.get(event.camera);
+    if (!camera) {
+      this.logger.warn("Update for unknown camera, skipping", {
+        eventId: event.id,
+        camera: event.camera,
+      });
+      return;
+    }
+
+    const requestId = generateRequestId();
+    metrics.ingestedEvents.inc({ source: "websocket", event_type: detection });
+    this.logger.info("Ingesting Protect event", {
+      requestId,
+      eventId: event.id,
+      detection,
+      camera: camera.name,
+    });
+
+    this.discord
+      .processAndSend(
+        toEventData(event, detection, camera, this.protect.name),
+        requestId
+      )
+      .catch((error) => {
+        this.logger.error("Failed to process ingested event", {
+          requestId,
+          eventId: event.id,
+          error: error.message,
+        });
+      });
+  }
+}
+
+/**
+ * Decode a binary update packet: an action frame followed by a data frame
+ * @param {Buffer} buffer - Websocket message
+ * @returns {Object} Action ({ action, modelKey, id, newUpdateId }) and
+ *   payload
+ * @throws {Error} If the packet is truncated or malformed
+ */
+function decodeUpdatePacket(buffer) {
+  const action = readFrame(buffer, 0);
+  const data = readFrame(buffer, action.end);
+
+  return { action: action.value, payload: data.value };
+}
+
+/**
+ * Decode a JSON message of the Integration API's event subscription into
+ * the shape of an update packet
+ * @param {Buffer} data - Websocket message, { type, item }
+ * @returns {Object} Action ({ action, modelKey, id }) and payload, with the
+ *   event's device as its camera
+ * @throws {Error} If the message is not JSON
+ */
+function decodeIntegrationMessage(data) {
+  const message = JSON.parse(data.toString("utf8"));
+  const { device, ...item } = message.item || {};
+
+  return {
+    action: {
+      action: message.type,
+      modelKey: item.modelKey || "event",
+      id: item.id,
+    },
+    // Updates only carry the changed fields
+    payload: device ? { ...item, camera: device } : item,
+  };
+}
+
+/**
+ * Read one frame. Header layout: packet type, payload format, deflated flag,
+ * a reserved byte and the payload size as a 32-bit big-endian integer.
+ */
+function readFrame(buffer, offset) {
+  if (buffer.length < offset + FRAME_HEADER_SIZE) {
+    throw new Error("Truncated frame header");
+  }
+
+  const format = buffer.readUInt8(offset + 1);
+  const deflated = buffer.readUInt8(offset + 2) === 1;
+  const size = buffer.readUInt32BE(offset + 4);
+  const start = offset + FRAME_HEADER_SIZE;
+
+  if (buffer.length < start + size) {
+    throw new Error("Truncated frame payload");
+  }
+
+  let payload = buffer.subarray(start, start + size);
+  if (deflated) {
+    payload = zlib.inflateSync(payload);
+  }
+
+  let value;
+  switch (format) {
+    case PAYLOAD_FORMATS.JSON:
+      value = JSON.parse(payload.toString("utf8"));
+      break;
+    case PAYLOAD_FORMATS.STRING:
+      value = payload.toString("utf8");
+      break;
+    case PAYLOAD_FORMATS.BUFFER:
+      value = payload;
+      break;
+    default:
+      throw new Error(`Unknown payload format ${format}`);
+  }
+
+  return { value, end: start + size };
+}
+
+module.exports = WebSocketIngester;
+module.exports.decodeUpdatePacket = decodeUpdatePacket;
+module.exports.decodeIntegrationMessage = decodeIntegrationMessage;
@@ -0,0 +1,386 @@
+const { createLogger } = require("../utils/logger");
+const SnoozeList = require("./snooze");
+
+const logger = createLogger();
+
+// Discord interaction and response types
+const INTERACTION_TYPES = { PING: 1, APPLICATION_COMMAND: 2, COMPONENT: 3 };
+const RESPONSE_TYPES = { PONG: 1, MESSAGE: 4, UPDATE_MESSAGE: 7 };
+const EPHEMERAL = 1 << 6;
+
+// Button styles
+const SECONDARY = 2;
+const SUCCESS = 3;
+const LINK = 5;
+
+/**
+ * Slash commands handled by the bridge, in the format Discord expects when
+ * registering application commands
+ */
+const COMMANDS = [
+  {
+    name: "status",
+    description: "Show the bridge status",
+    type: 1,
+  },
+  {
+    name: "snooze",
+    description: "Mute alerts from a camera",
+    type: 1,
+    options: [
+      {
+        type: 3,
+        name: "camera",
+        description: "Camera name or MAC address",
+        required: true,
+      },
+      {
+        type: 3,
+        name: "duration",
+        description: 'How long, e.g. "30m" or "2h", or "off" to unmute',
+        required: false,
+      },
+    ],
+  },
+];
+
+/**
+ * Handles Discord interactions: the buttons on alert messages and the
+ * bridge's slash commands
+ *
+ * Button custom IDs carry what they act on:
+ * - `snooze:<mac>:<minutes>` snoozes a device
+ * - `ack:<historyId>` marks the alert as acknowledged
+ */
+class InteractionHandler {
+  /**
+   * @param {Object} options - Handler options
+   * @param {SnoozeList} options.snoozes - Snoozed devices
+   * @param {DeviceDirectory} options.devices - Optional camera name lookup
+   * @param {EventHistory} options.history - Optional event history
+   * @param {DeliveryQueue} options.queue - Optional retry queue
+   * @param {number} options.snoozeMinutes - Snooze length of the button and
+   *   the default of /snooze
+   */
+  constructor(options = {}) {
+    this.snoozes = options.snoozes || new SnoozeList();
+    this.devices = options.devices || null;
+    this.history = options.history || null;
+    this.queue = options.queue || null;
+    this.snoozeMinutes = options.snoozeMinutes || 60;
+    this.startedAt = Date.now();
+    this.logger = logger.child({ service: "interactions" });
+  }
+
+  /**
+   * Build the action buttons for an alert message
+   * @param {Object} event - Event the message is about
+   * @param {string|null} event.historyId - History record of the event
+   * @param {Array<string>} event.devices - Device MACs from the triggers
+   * @param {string|null} event.link - Link to the event in Protect
+   * @returns {Array<Object>} Message components
+   */
+  buildComponents(event) {
+    const buttons = [];
+    const mac = event.devices?.[0];
+
+    if (mac) {
+      buttons.push({
+        type: 2,
+        style: SECONDARY,
+        label: `Snooze camera ${formatMinutes(this.snoozeMinutes)}`,
+        emoji: { name: "🔕" },
+        custom_id: `snooze:${mac}:${this.snoozeMinutes}`,
+      });
+    }
+
+    buttons.push({
+      type: 2,
+      style: SUCCESS,
+      label: "Acknowledge",
+      emoji: { name: "✅" },
+      custom_id: `ack:${event.historyId || "none"}`,
+    });
+
+    if (/^https?:\/\//.test(event.link || "")) {
+      buttons.push({
+        type: 2,
+        style: LINK,
+        label: "Open in Protect",
+        url: event.link,
+      });
+    }
+
+    return [{ type: 1, components: buttons }];
+  }
+
+  /**
+   * Handle a verified interaction
+   * @param {Object} interaction - Interaction payload from Discord
+   * @returns {Object} Interaction response
+   */
+  handle(interaction) {
+    switch (interaction.type) {
+      case INTERACTION_TYPES.PING:
+        return { type: RESPONSE_TYPES.PONG };
+      case INTERACTION_TYPES.APPLICATION_COMMAND:
+        return this.handleCommand(interaction);
+      case INTERACTION_TYPES.COMPONENT:
+        return this.handleComponent(interaction);
+      default:
+        return reply(`Unsupported interaction type ${interaction.type}`);
+    }
+  }
+
+  handleCommand(interaction) {
+    const { name, options = [] } = interaction.data || {};
+    const args = Object.fromEntries(
+      options.map((option) => [option.name, option.value])
+    );
+    const user = getUser(interaction);
+
+    this.logger.info("Received slash command", { name, args, user: user.id });
+
+    switch (name) {
+      case "status":
+        return reply(this.describeStatus());
+      case "snooze":
+        return this.snoozeCamera(args.camera, args.duration, user);
+      default:
+        return reply(`Unknown command /${name}`);
+    }
+  }
+
+  handleComponent(interaction) {
+    const [action, ...params] = String(interaction.data?.custom_id).split(":");
+    const user = getUser(interaction);
+
+    this.logger.info("Received button press", {
+      customId: interaction.data?.custom_id,
+      user: user.id,
+    });
+
+    switch (action) {
+      case "snooze": {
+        const [mac, minutes] = params;
+        const entry = this.snoozes.snooze(mac, Number(minutes) * 60000, {
+          by: user.username,
+          name: this.devices?.get(mac)?.name,
+        });
+
+        return snoozedReply(entry, user);
+      }
+      case "ack":
+        return this.acknowledge(interaction, params[0], user);
+      default:
+        return reply("This button is no longer supported");
+    }
+  }
+
+  /**
+   * Mark an alert as acknowledged and disable its button
+   * @param {Object} interaction - Component interaction
+   * @param {string} historyId - History record of the event
+   * @param {Object} user - User that pressed the button
+   * @returns {Object} Response updating the message
+   */
+  acknowledge(interaction, historyId, user) {
+    const acknowledged = { by: user.username, at: new Date().toISOString() };
+
+    if (this.history && historyId !== "none") {
+      this.history.update(historyId, { acknowledged });
+    }
+
+    const message = interaction.message || {};
+    const [embed, ...embeds] = message.embeds || [];
+    const field = {
+      name: "Acknowledged",
+      value: `<@${user.id}> <t:${toUnix(Date.parse(acknowledged.at))}:R>`,
+      inline: false,
+    };
+
+    return {
+      type: RESPONSE_TYPES.UPDATE_MESSAGE,
+      data: {
+        embeds: embed
+          ? [{ ...embed, fields: [...(embed.fields || []), field] }, ...embeds]
+          : [],
+        components: (message.components || []).map((row) => ({
+          ...row,
+          components: row.components.map((button) =>
+            button.custom_id?.startsWith("ack:")
+              ? { ...button, label: "Acknowledged", disabled: true }
+              : button
+          ),
+        })),
+        allowed_mentions: { parse: [] },
+      },
+    };
+  }
+
+  /**
+   * Snooze or unsnooze a camera from /snooze
+   * @param {string} camera - Camera name or MAC address
+   * @param {string} duration - Duration such as "30m", or "off"
+   * @param {Object} user - User that ran the command
+   * @returns {Object} Interaction response
+   */
+  snoozeCamera(camera, duration, user) {
+    const device = this.findDevice(camera);
+    if (!device) {
+      return reply(`Unknown camera "${camera}"`);
+    }
+
+    if (duration && /^(off|0)$/i.test(duration.trim())) {
+      const cleared = this.snoozes.clear(device.mac);
+      return reply(
+        cleared
+          ? `🔔 **${device.name}** is no longer snoozed`
+          : `**${device.name}** was not snoozed`,
+        { ephemeral: !cleared }
+      );
+    }
+
+    const durationMs = duration
+      ? parseDuration(duration)
+      : this.snoozeMinutes * 60000;
+    if (!durationMs) {
+      return reply(`Invalid duration "${duration}", use e.g. 30m or 2h`);
+    }
+
+    const entry = this.snoozes.snooze(device.mac, durationMs, {
+      by: user.username,
+      name: device.name,
+    });
+
+    return snoozedReply(entry, user);
+  }
+
+  /**
+   * Find a device by name or MAC address
+   * @param {string} camera - Camera name or MAC address
+   * @returns {Object|null} Device with mac and name
+   */
+  findDevice(camera) {
+    const value = String(camera || "").trim();
+    const device = this.devices
+      ?.list()
+      .find((entry) => entry.name.toLowerCase() === value.toLowerCase());
+
+    if (device) {
+      return device;
+    }
+
+    const mac = value.replace(/[^0-9a-f]/gi, "").toUpperCase();
+    if (/^[0-9A-F]{12}$/.test(mac)) {
+      return this.devices?.get(mac) || { mac, name: mac };
+    }
+
+    return null;
+  }
+
+  describeStatus() {
+    const lines = [
+      "**Bridge status**",
+      `Running since <t:${toUnix(this.startedAt)}:R>`,
+    ];
+
+    if (this.queue) {
+      const depth = this.queue.depth();
+      lines.push(`Queue: ${depth.pending} pending, ${depth.dead} dead`);
+    }
+
+    if (this.devices) {
+      lines.push(`Devices: ${this.devices.devices.size} known`);
+    }
+
+    const [lastEvent] = this.history ? this.history.query({ limit: 1 }) : [];
+    if (lastEvent) {
+      const camera = lastEvent.cameras?.[0] || lastEvent.devices?.[0];
+      lines.push(
+        `Last event: ${lastEvent.eventType}${
+          camera ? ` at ${camera}` : ""
+        } <t:${toUnix(Date.parse(lastEvent.timestamp))}:R>`
+      );
+    }
+
+    const snoozed = this.snoozes.list();
+    lines.push(
+      snoozed.length > 0
+        ? `Snoozed: ${snoozed
+            .map((entry) => `${entry.name} until <t:${toUnix(entry.until)}:t>`)
+            .join(", ")}`
+        : "Snoozed: none"
+    );
+
+    return lines.join("\n");
+  }
+}
+
+/**
+ * Build a message response, ephemeral unless told otherwise
+ */
+function reply(content, options = {}) {
+  return {
+    type: RESPONSE_TYPES.MESSAGE,
+    data: {
+      content,
+      flags: options.ephemeral === false ? 0 : EPHEMERAL,
+      allowed_mentions: { parse: [] },
+    },
+  };
+}
+
+/**
+ * Announce a snooze in the channel so everyone knows alerts are muted
+ */
+function snoozedReply(entry, user) {
+  return reply(
+    `🔕 **${entry.name}** snoozed until <t:${toUnix(entry.until)}:t> by <@${
+      user.id
+    }>`,
+    { ephemeral: false }
+  );
+}
+
+function getUser(interaction) {
+  return interaction.member?.user || interaction.user || {};
+}
+
+function toUnix(ms) {
+  return Math.floor(ms / 1000);
+}
+
+function formatMinutes(minutes) {
+  return minutes % 60 === 0 ? `${minutes / 60}h` : `${minutes}m`;
+}
+
+/**
+ * Parse durations like "30m", "2h", "1h30m" or "90s"; bare numbers are
+ * minutes
+ * @param {string} text - Duration text
+ * @returns {number|null} Duration in milliseconds, or null if invalid
+ */
+function parseDuration(text) {
+  const value = String(text).trim().toLowerCase();
+  const units = { d: 86400000, h: 3600000, m: 60000, s: 1000 };
+
+  if (/^\d+(\.\d+)?$/.test(value)) {
+    return parseFloat(value) * units.m || null;
+  }
+
+  if (!/^(\d+(\.\d+)?[dhms])+$/.test(value)) {
+    return null;
+  }
+
+  let total = 0;
+  for (const [, amount, unit] of value.matchAll(/(\d+(?:\.\d+)?)([dhms])/g)) {
+    total += parseFloat(amount) * units[unit];
+  }
+
+  return total || null;
+}
+
+module.exports = InteractionHandler;
+module.exports.COMMANDS = COMMANDS;
+module.exports.parseDuration = parseDuration;
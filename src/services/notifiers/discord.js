@@ -0,0 +1,67 @@
+const axios = require("axios");
+const FormData = require("form-data");
+const { formatTitle, formatFacts, isImage } = require("./format");
+
+/**
+ * Posts events to an extra Discord webhook
+ *
+ * The main Discord delivery (routes, templates, buttons, retries) stays in
+ * DiscordService; this sink sends a plain embed, e.g. to another server.
+ * Attachments are uploaded with the message and images shown in the embed.
+ */
+class DiscordNotifier {
+  /**
+   * @param {Object} config - Sink configuration
+   * @param {string} config.webhookUrl - Discord webhook URL
+   */
+  constructor(config) {
+    if (!config.webhookUrl) {
+      throw new Error(`Discord notifier "${config.name}" needs a webhookUrl`);
+    }
+
+    this.webhookUrl = config.webhookUrl;
+  }
+
+  async send(notification, attachment) {
+    const embed = {
+      title: formatTitle(notification),
+      description: notification.alarmName,
+      color: notification.color,
+      timestamp: notification.timestamp,
+      fields: formatFacts(notification)
+        .filter(([name]) => name !== "Time")
+        .map(([name, value]) => ({ name, value, inline: true })),
+    };
+
+    if (notification.link) {
+      embed.url = notification.link;
+    }
+
+    if (!attachment) {
+      await axios.post(
+        this.webhookUrl,
+        { embeds: [embed] },
+        { timeout: 10000 }
+      );
+      return;
+    }
+
+    if (isImage(attachment)) {
+      embed.image = { url: `attachment://${attachment.filename}` };
+    }
+
+    const formData = new FormData();
+    formData.append("payload_json", JSON.stringify({ embeds: [embed] }));
+    formData.append("files[0]", attachment.buffer, {
+      filename: attachment.filename,
+      contentType: attachment.contentType,
+    });
+
+    await axios.post(this.webhookUrl, formData, {
+      headers: formData.getHeaders(),
+      timeout: 60000,
+    });
+  }
+}
+
+module.exports = DiscordNotifier;
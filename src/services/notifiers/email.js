@@ -0,0 +1,93 @@
+const nodemailer = require("nodemailer");
+const { formatTitle, formatFacts, formatText, isImage } = require("./format");
+
+/**
+ * Sends events by email over SMTP
+ *
+ * Images are embedded in the HTML body; other attachments such as clips are
+ * attached to the message.
+ */
+class EmailNotifier {
+  /**
+   * @param {Object} config - Sink configuration
+   * @param {string} config.host - SMTP server
+   * @param {number} config.port - SMTP port, defaults to 587 (465 if secure)
+   * @param {boolean} config.secure - Use implicit TLS
+   * @param {string} config.user - SMTP user
+   * @param {string} config.pass - SMTP password
+   * @param {string} config.from - Sender address
+   * @param {string|Array<string>} config.to - Recipient addresses
+   */
+  constructor(config) {
+    if (!config.host || !config.from || !config.to) {
+      throw new Error(
+        `Email notifier "${config.name}" needs a host, from and to`
+      );
+    }
+
+    this.from = config.from;
+    this.to = config.to;
+    this.transport = nodemailer.createTransport({
+      host: config.host,
+      port: config.port || (config.secure ? 465 : 587),
+      secure: !!config.secure,
+      auth: config.user ? { user: config.user, pass: config.pass } : undefined,
+    });
+  }
+
+  async send(notification, attachment) {
+    const rows = formatFacts(notification)
+      .map(
+        ([name, value]) =>
+          `<tr><th align="left">${escapeHtml(name)}</th><td>${escapeHtml(
+            value
+          )}</td></tr>`
+      )
+      .join("");
+
+    let html = `<h2>${escapeHtml(formatTitle(notification))}</h2>
+<p>${escapeHtml(notification.alarmName)}</p>
+<table>${rows}</table>`;
+
+    if (notification.link) {
+      html += `<p><a href="${escapeHtml(
+        notification.link
+      )}">Open in Protect</a></p>`;
+    }
+
+    const attachments = [];
+    if (attachment) {
+      attachments.push({
+        filename: attachment.filename,
+        content: attachment.buffer,
+        contentType: attachment.contentType,
+        cid: isImage(attachment) ? "thumbnail" : undefined,
+      });
+
+      if (isImage(attachment)) {
+        html += `<p><img src="cid:thumbnail" alt="Thumbnail"></p>`;
+      }
+    }
+
+    await this.transport.sendMail({
+      from: this.from,
+      to: this.to,
+      subject: `${formatTitle(notification)}: ${notification.camera}`,
+      text: [formatText(notification), notification.link]
+        .filter(Boolean)
+        .join("\n\n"),
+      html,
+      attachments,
+    });
+  }
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+module.exports = EmailNotifier;
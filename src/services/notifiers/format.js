@@ -0,0 +1,51 @@
+/**
+ * Formatting shared by the notification sinks
+ *
+ * Sinks receive a notification built by DiscordService.buildNotification:
+ * the message template context plus the history ID and a link to the event.
+ */
+
+/**
+ * Title line such as "👤 Person Detected"
+ * @param {Object} notification - Normalized event
+ * @returns {string} Title
+ */
+function formatTitle(notification) {
+  return `${notification.emoji} ${notification.label}`;
+}
+
+/**
+ * Name and value pairs describing the event, leaving out empty values
+ * @param {Object} notification - Normalized event
+ * @returns {Array<Array<string>>} Facts as [name, value] pairs
+ */
+function formatFacts(notification) {
+  const camera = notification.room
+    ? `${notification.camera} (${notification.room})`
+    : notification.camera;
+
+  return [
+    ["Camera", camera],
+    ["Event Type", notification.eventType],
+    ["Person", notification.person],
+    ["Time", new Date(notification.timestamp).toLocaleString()],
+  ].filter(([, value]) => value);
+}
+
+/**
+ * Plain text body: the alarm name followed by one line per fact
+ * @param {Object} notification - Normalized event
+ * @returns {string} Message text
+ */
+function formatText(notification) {
+  return [
+    notification.alarmName,
+    ...formatFacts(notification).map(([name, value]) => `${name}: ${value}`),
+  ].join("\n");
+}
+
+function isImage(attachment) {
+  return !!attachment && attachment.contentType.startsWith("image/");
+}
+
+module.exports = { formatTitle, formatFacts, formatText, isImage };
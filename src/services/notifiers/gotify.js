@@ -0,0 +1,61 @@
+const axios = require("axios");
+const { formatTitle, formatFacts } = require("./format");
+
+/**
+ * Pushes events to a Gotify server
+ *
+ * Gotify messages are text only, so attachments are left out; the message
+ * links to the event in Protect instead.
+ */
+class GotifyNotifier {
+  /**
+   * @param {Object} config - Sink configuration
+   * @param {string} config.url - Gotify server URL
+   * @param {string} config.token - Application token
+   * @param {number} config.priority - Message priority
+   */
+  constructor(config) {
+    if (!config.url || !config.token) {
+      throw new Error(`Gotify notifier "${config.name}" needs a url and token`);
+    }
+
+    this.url = config.url.replace(/\/$/, "");
+    this.token = config.token;
+    this.priority = config.priority ?? 5;
+  }
+
+  async send(notification) {
+    const lines = [
+      notification.alarmName,
+      "",
+      ...formatFacts(notification).map(
+        ([name, value]) => `**${name}:** ${value}`
+      ),
+    ];
+
+    if (notification.link) {
+      lines.push("", `[Open in Protect](${notification.link})`);
+    }
+
+    await axios.post(
+      `${this.url}/message`,
+      {
+        title: formatTitle(notification),
+        message: lines.join("  \n"),
+        priority: this.priority,
+        extras: {
+          "client::display": { contentType: "text/markdown" },
+          ...(notification.link && {
+            "client::notification": { click: { url: notification.link } },
+          }),
+        },
+      },
+      {
+        headers: { "X-Gotify-Key": this.token },
+        timeout: 10000,
+      }
+    );
+  }
+}
+
+module.exports = GotifyNotifier;
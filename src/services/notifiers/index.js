@@ -0,0 +1,147 @@
+const fs = require("fs");
+const metrics = require("../../utils/metrics");
+const { matchesFacts, normalizeMatch } = require("../router");
+const DiscordNotifier = require("./discord");
+const SlackNotifier = require("./slack");
+const TeamsNotifier = require("./teams");
+const NtfyNotifier = require("./ntfy");
+const GotifyNotifier = require("./gotify");
+const EmailNotifier = require("./email");
+const WebhookNotifier = require("./webhook");
+
+// Sink implementations by config type
+const SINKS = {
+  discord: DiscordNotifier,
+  slack: SlackNotifier,
+  teams: TeamsNotifier,
+  ntfy: NtfyNotifier,
+  gotify: GotifyNotifier,
+  email: EmailNotifier,
+  webhook: WebhookNotifier,
+};
+
+/**
+ * Notification sinks that receive events next to the main Discord delivery
+ *
+ * Each sink is configured as { type, name, match, ...options }. `match`
+ * works like a route match and limits the sink to some events. Sinks
+ * implement `send(notification, attachment)`, which resolves once the event
+ * is delivered and rejects on failure, and decide themselves what to do with
+ * the attachment (thumbnail or clip).
+ *
+ * Every matching sink is sent to in parallel; one failing sink doesn't
+ * affect the others.
+ */
+class NotifierSet {
+  /**
+   * @param {Array<Object>} configs - Sink configurations
+   * @throws {Error} If a sink type is unknown or its options are incomplete
+   */
+  constructor(configs = []) {
+    this.sinks = configs.map((config, index) => {
+      const Sink = SINKS[config.type];
+      if (!Sink) {
+        throw new Error(
+          `Notifier ${index} has unknown type "${
+            config.type
+          }", expected one of ${Object.keys(SINKS).join(", ")}`
+        );
+      }
+
+      const name = config.name || `${config.type}-${index}`;
+
+      return {
+        name,
+        type: config.type,
+        match: normalizeMatch(config.match),
+        sink: new Sink({ ...config, name }),
+      };
+    });
+  }
+
+  /**
+   * Find the sinks whose match accepts an event
+   * @param {Object} facts - Values from DiscordService.extractRoutingFacts
+   * @returns {Array<Object>} Sink entries with name, type and sink
+   */
+  matching(facts) {
+    return this.sinks.filter((entry) => matchesFacts(entry.match, facts));
+  }
+
+  /**
+   * Send an event to every sink whose match accepts it
+   * @param {Object} notification - Normalized event from
+   *   DiscordService.buildNotification
+   * @param {Object} facts - Values from DiscordService.extractRoutingFacts
+   * @param {Object|null} attachment - Thumbnail or clip with buffer,
+   *   filename and content type
+   * @param {Object} requestLogger - Logger for the request
+   * @returns {Promise<Array<Object>>} Result per sink, never rejects
+   */
+  async notify(notification, facts, attachment, requestLogger) {
+    const sinks = this.matching(facts);
+
+    const results = await Promise.allSettled(
+      sinks.map((entry) => entry.sink.send(notification, attachment))
+    );
+
+    return results.map((result, index) => {
+      const { name, type } = sinks[index];
+      const success = result.status === "fulfilled";
+
+      metrics.notifierSends.inc({
+        notifier: name,
+        result: success ? "success" : "failure",
+      });
+
+      if (success) {
+        requestLogger.info("Sent event to notifier", { notifier: name, type });
+        return { notifier: name, type, success: true };
+      }
+
+      requestLogger.error("Failed to send event to notifier", {
+        notifier: name,
+        type,
+        error: result.reason.message,
+        statusCode: result.reason.response?.status,
+      });
+      return {
+        notifier: name,
+        type,
+        success: false,
+        error: result.reason.message,
+      };
+    });
+  }
+}
+
+/**
+ * Load sink configurations from NOTIFIERS (JSON) or NOTIFIERS_FILE
+ * @param {Object} env - Environment variables
+ * @returns {Array<Object>} Sink configurations
+ * @throws {Error} If the configuration is not a JSON array of sinks
+ */
+function loadNotifiers(env = process.env) {
+  let raw = env.NOTIFIERS;
+
+  if (!raw && env.NOTIFIERS_FILE) {
+    raw = fs.readFileSync(env.NOTIFIERS_FILE, "utf8");
+  }
+
+  if (!raw) {
+    return [];
+  }
+
+  const parsed = JSON.parse(raw);
+  const notifiers = Array.isArray(parsed) ? parsed : parsed.notifiers;
+
+  if (!Array.isArray(notifiers)) {
+    throw new Error("Notifier configuration must be an array of sinks");
+  }
+
+  return notifiers;
+}
+
+module.exports = NotifierSet;
+module.exports.loadNotifiers = loadNotifiers;
+module.exports.SINKS = SINKS;
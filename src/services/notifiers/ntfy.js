@@ -0,0 +1,75 @@
+const axios = require("axios");
+const { formatTitle, formatText } = require("./format");
+
+/**
+ * Publishes events to an ntfy topic
+ *
+ * Without an attachment the event is published as JSON. Attachments are
+ * uploaded as the request body with the message in headers, which ntfy
+ * shows as a downloadable file (and a preview for images).
+ */
+class NtfyNotifier {
+  /**
+   * @param {Object} config - Sink configuration
+   * @param {string} config.server - ntfy server URL, defaults to ntfy.sh
+   * @param {string} config.topic - Topic name
+   * @param {string} config.token - Optional access token
+   * @param {number} config.priority - Message priority from 1 to 5
+   */
+  constructor(config) {
+    if (!config.topic) {
+      throw new Error(`ntfy notifier "${config.name}" needs a topic`);
+    }
+
+    this.server = (config.server || "https://ntfy.sh").replace(/\/$/, "");
+    this.topic = config.topic;
+    this.token = config.token || null;
+    this.priority = config.priority || 4;
+  }
+
+  async send(notification, attachment) {
+    const headers = this.token ? { Authorization: `Bearer ${this.token}` } : {};
+
+    if (!attachment) {
+      await axios.post(
+        this.server,
+        {
+          topic: this.topic,
+          title: formatTitle(notification),
+          message: formatText(notification),
+          tags: [notification.eventType],
+          priority: this.priority,
+          ...(notification.link && { click: notification.link }),
+        },
+        { headers, timeout: 10000 }
+      );
+      return;
+    }
+
+    await axios.put(
+      `${this.server}/${encodeURIComponent(this.topic)}`,
+      attachment.buffer,
+      {
+        headers: {
+          ...headers,
+          "Content-Type": attachment.contentType,
+          // Headers must be ASCII, ntfy decodes RFC 2047 encoded words
+          "X-Title": encodeHeader(formatTitle(notification)),
+          "X-Message": encodeHeader(formatText(notification)),
+          "X-Tags": notification.eventType,
+          "X-Priority": String(this.priority),
+          "X-Filename": attachment.filename,
+          ...(notification.link && { "X-Click": notification.link }),
+        },
+        maxBodyLength: Infinity,
+        timeout: 60000,
+      }
+    );
+  }
+}
+
+function encodeHeader(value) {
+  return `=?UTF-8?B?${Buffer.from(value, "utf8").toString("base64")}?=`;
+}
+
+module.exports = NtfyNotifier;
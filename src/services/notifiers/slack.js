@@ -0,0 +1,122 @@
+const axios = require("axios");
+const { formatTitle, formatFacts, formatText } = require("./format");
+
+const SLACK_API = "https://slack.com/api";
+
+/**
+ * Posts events to Slack
+ *
+ * With an incoming webhook URL the event is posted as Block Kit blocks;
+ * incoming webhooks can't upload files, so attachments are left out. With a
+ * bot token and channel the attachment is uploaded to the channel with the
+ * event text as its comment.
+ */
+class SlackNotifier {
+  /**
+   * @param {Object} config - Sink configuration
+   * @param {string} config.webhookUrl - Incoming webhook URL
+   * @param {string} config.token - Bot token with chat:write and files:write
+   * @param {string} config.channel - Channel ID, required with a token
+   */
+  constructor(config) {
+    if (!config.webhookUrl && !(config.token && config.channel)) {
+      throw new Error(
+        `Slack notifier "${config.name}" needs a webhookUrl or a token and channel`
+      );
+    }
+
+    this.webhookUrl = config.webhookUrl || null;
+    this.token = config.token || null;
+    this.channel = config.channel || null;
+  }
+
+  async send(notification, attachment) {
+    const text = `*${formatTitle(notification)}*\n${formatText(notification)}`;
+
+    if (this.token && attachment) {
+      return this.upload(attachment, text);
+    }
+
+    const blocks = [
+      {
+        type: "section",
+        text: { type: "mrkdwn", text: `*${formatTitle(notification)}*` },
+        fields: formatFacts(notification).map(([name, value]) => ({
+          type: "mrkdwn",
+          text: `*${name}*\n${value}`,
+        })),
+      },
+      {
+        type: "context",
+        elements: [{ type: "mrkdwn", text: notification.alarmName }],
+      },
+    ];
+
+    if (notification.link) {
+      blocks.push({
+        type: "actions",
+        elements: [
+          {
+            type: "button",
+            text: { type: "plain_text", text: "Open in Protect" },
+            url: notification.link,
+          },
+        ],
+      });
+    }
+
+    if (this.token) {
+      await this.call("chat.postMessage", {
+        channel: this.channel,
+        text,
+        blocks,
+      });
+      return;
+    }
+
+    await axios.post(this.webhookUrl, { text, blocks }, { timeout: 10000 });
+  }
+
+  /**
+   * Upload a file with Slack's external upload flow
+   */
+  async upload(attachment, text) {
+    const { upload_url: uploadUrl, file_id: fileId } = await this.call(
+      "files.getUploadURLExternal",
+      new URLSearchParams({
+        filename: attachment.filename,
+        length: String(attachment.buffer.length),
+      })
+    );
+
+    await axios.post(uploadUrl, attachment.buffer, {
+      headers: { "Content-Type": attachment.contentType },
+      maxBodyLength: Infinity,
+      timeout: 60000,
+    });
+
+    await this.call("files.completeUploadExternal", {
+      files: [{ id: fileId, title: attachment.filename }],
+      channel_id: this.channel,
+      initial_comment: text,
+    });
+  }
+
+  /**
+   * Call a Slack Web API method. Slack answers errors with 200 and ok: false.
+   */
+  async call(method, body) {
+    const response = await axios.post(`${SLACK_API}/${method}`, body, {
+      headers: { Authorization: `Bearer ${this.token}` },
+      timeout: 10000,
+    });
+
+    if (!response.data.ok) {
+      throw new Error(`Slack ${method} failed: ${response.data.error}`);
+    }
+
+    return response.data;
+  }
+}
+
+module.exports = SlackNotifier;
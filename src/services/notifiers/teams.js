@@ -0,0 +1,90 @@
+const axios = require("axios");
+const { formatTitle, formatFacts, isImage } = require("./format");
+
+// Teams rejects webhook payloads over about 28 KB
+const DEFAULT_MAX_IMAGE_BYTES = 20 * 1024;
+
+/**
+ * Posts events to a Microsoft Teams channel as an Adaptive Card, through an
+ * incoming webhook or a Workflows "post to a channel" URL
+ *
+ * Teams webhooks can't upload files, so small images are inlined in the card
+ * as data URIs and anything larger is left out.
+ */
+class TeamsNotifier {
+  /**
+   * @param {Object} config - Sink configuration
+   * @param {string} config.webhookUrl - Teams webhook or workflow URL
+   * @param {number} config.maxImageBytes - Largest image inlined in the card
+   */
+  constructor(config) {
+    if (!config.webhookUrl) {
+      throw new Error(`Teams notifier "${config.name}" needs a webhookUrl`);
+    }
+
+    this.webhookUrl = config.webhookUrl;
+    this.maxImageBytes = config.maxImageBytes || DEFAULT_MAX_IMAGE_BYTES;
+  }
+
+  async send(notification, attachment) {
+    const body = [
+      {
+        type: "TextBlock",
+        text: formatTitle(notification),
+        weight: "Bolder",
+        size: "Medium",
+        wrap: true,
+      },
+      { type: "TextBlock", text: notification.alarmName, wrap: true },
+      {
+        type: "FactSet",
+        facts: formatFacts(notification).map(([title, value]) => ({
+          title,
+          value,
+        })),
+      },
+    ];
+
+    if (isImage(attachment) && attachment.buffer.length <= this.maxImageBytes) {
+      body.push({
+        type: "Image",
+        url: `data:${
+          attachment.contentType
+        };base64,${attachment.buffer.toString("base64")}`,
+        size: "Stretch",
+      });
+    }
+
+    const card = {
+      $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+      type: "AdaptiveCard",
+      version: "1.4",
+      body,
+      actions: notification.link
+        ? [
+            {
+              type: "Action.OpenUrl",
+              title: "Open in Protect",
+              url: notification.link,
+            },
+          ]
+        : [],
+    };
+
+    await axios.post(
+      this.webhookUrl,
+      {
+        type: "message",
+        attachments: [
+          {
+            contentType: "application/vnd.microsoft.card.adaptive",
+            content: card,
+          },
+        ],
+      },
+      { timeout: 10000 }
+    );
+  }
+}
+
+module.exports = TeamsNotifier;
@@ -0,0 +1,51 @@
+const axios = require("axios");
+
+/**
+ * Posts the normalized event as JSON to any HTTP endpoint
+ *
+ * The body is { event, attachment }. The attachment describes the file and
+ * only carries its base64 data when includeAttachment is set.
+ */
+class WebhookNotifier {
+  /**
+   * @param {Object} config - Sink configuration
+   * @param {string} config.url - Endpoint URL
+   * @param {Object} config.headers - Extra request headers, e.g. for auth
+   * @param {boolean} config.includeAttachment - Send the file as base64
+   */
+  constructor(config) {
+    if (!config.url) {
+      throw new Error(`Webhook notifier "${config.name}" needs a url`);
+    }
+
+    this.url = config.url;
+    this.headers = config.headers || {};
+    this.includeAttachment = !!config.includeAttachment;
+  }
+
+  async send(notification, attachment) {
+    await axios.post(
+      this.url,
+      {
+        event: notification,
+        attachment: attachment
+          ? {
+              filename: attachment.filename,
+              contentType: attachment.contentType,
+              size: attachment.buffer.length,
+              ...(this.includeAttachment && {
+                data: attachment.buffer.toString("base64"),
+              }),
+            }
+          : null,
+      },
+      {
+        headers: this.headers,
+        maxBodyLength: Infinity,
+        timeout: 30000,
+      }
+    );
+  }
+}
+
+module.exports = WebhookNotifier;
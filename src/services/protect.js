@@ -0,0 +1,540 @@
+const axios = require("axios");
+const { createLogger } = require("../utils/logger");
+const { createTlsAgent } = require("../utils/tls");
+const metrics = require("../utils/metrics");
+
+const USER_AGENT =
+  "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/138.0.0.0 Safari/537.36";
+
+// Re-login this long before the token actually expires
+const EXPIRY_SKEW_MS = 60 * 1000;
+
+// Base path of the official Protect Integration API
+const INTEGRATION_PATH = "/proxy/protect/integration/v1";
+
+/**
+ * Shared UniFi Protect session client
+ *
+ * Logs in with username/password, caches the TOKEN cookie in memory and only
+ * logs in again when the token expires or Protect answers 401. Concurrent
+ * callers share a single in-flight login.
+ *
+ * With an API key, devices and camera snapshots come from the Protect
+ * Integration API, authenticated with the X-API-KEY header. The Integration
+ * API has no event list, event thumbnails or video exports, so those still
+ * need the session and are unavailable without username and password.
+ */
+class ProtectClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.host - Protect host address, optionally with
+   *   a scheme and port such as http://localhost:4443 (HTTPS by default)
+   * @param {string} options.username - Local Protect username
+   * @param {string} options.password - Local Protect password
+   * @param {string} options.apiKey - Protect Integration API key
+   * @param {string} options.name - Controller name, for logs and embeds
+   * @param {Object} options.tls - TLS settings, see createTlsAgent
+   * @param {string} options.tls.mode - verify, pin, tofu or insecure;
+   *   defaults to pin with a fingerprint, verify with a CA, else tofu
+   * @param {string} options.tls.ca - PEM CA certificate(s) to trust
+   * @param {string} options.tls.fingerprint - SHA-256 fingerprint to pin
+   * @param {string} options.tls.fingerprintFile - Fingerprints recorded on
+   *   first use
+   * @param {number} options.tokenTtlMs - Fallback token lifetime
+   * @param {winston.Logger} options.logger - Optional logger
+   */
+  constructor(options = {}) {
+    const { host, baseUrl } = parseHost(options.host || "192.168.1.80");
+    this.host = host;
+    this.baseUrl = baseUrl;
+    this.username = options.username;
+    this.password = options.password;
+    this.apiKey = options.apiKey || null;
+    this.name = options.name || "default";
+    this.tokenTtlMs = options.tokenTtlMs || 60 * 60 * 1000;
+    this.logger = (options.logger || createLogger()).child({
+      service: "protect",
+      controller: this.name,
+    });
+
+    // Plain HTTP (the emulator) has no certificate to check
+    const tls = options.tls || {};
+    this.tlsMode = baseUrl.startsWith("https:")
+      ? tls.mode || (tls.fingerprint ? "pin" : tls.ca ? "verify" : "tofu")
+      : null;
+    this.agent = this.tlsMode
+      ? createTlsAgent({
+          ...tls,
+          mode: this.tlsMode,
+          host: this.host,
+          logger: this.logger,
+        })
+      : undefined;
+    this.token = null;
+    this.tokenExpiresAt = 0;
+    this.loginPromise = null;
+    this.client = axios.create({
+      baseURL: this.baseUrl,
+      httpsAgent: this.agent,
+      timeout: 15000,
+      headers: { "User-Agent": USER_AGENT },
+    });
+  }
+
+  /**
+   * Build a client from PROTECT_* environment variables
+   * @param {Object} env - Environment variables
+   * @param {Object} options - Extra client options
+   * @returns {ProtectClient} Client instance
+   */
+  static fromEnv(env = process.env, options = {}) {
+    return new ProtectClient({
+      host: env.PROTECT_HOST,
+      username: env.PROTECT_USERNAME,
+      password: env.PROTECT_PASSWORD,
+      ...options,
+    });
+  }
+
+  /**
+   * Check whether credentials are configured
+   * @returns {boolean} True if an API key or username and password are set
+   */
+  isConfigured() {
+    return !!this.apiKey || this.hasSession();
+  }
+
+  /**
+   * Check whether a session can be opened for the endpoints the
+   * Integration API doesn't cover
+   * @returns {boolean} True if username and password are set
+   */
+  hasSession() {
+    return !!(this.username && this.password);
+  }
+
+  /**
+   * Describe how requests are authenticated
+   * @returns {string} api-key, session or none
+   */
+  getAuthMethod() {
+    if (this.apiKey) return "api-key";
+    return this.hasSession() ? "session" : "none";
+  }
+
+  /**
+   * Get a valid session token, logging in if needed
+   * @returns {Promise<string>} TOKEN cookie value
+   */
+  async getToken() {
+    if (this.token && Date.now() < this.tokenExpiresAt - EXPIRY_SKEW_MS) {
+      return this.token;
+    }
+
+    return this.login();
+  }
+
+  /**
+   * Log in to Protect, sharing the request between concurrent callers
+   * @returns {Promise<string>} TOKEN cookie value
+   */
+  login() {
+    if (!this.loginPromise) {
+      this.loginPromise = this.performLogin().finally(() => {
+        this.loginPromise = null;
+      });
+    }
+
+    return this.loginPromise;
+  }
+
+  async performLogin() {
+    if (!this.hasSession()) {
+      throw new Error("PROTECT_USERNAME and PROTECT_PASSWORD are not set");
+    }
+
+    this.logger.info("Authenticating with UniFi Protect", { host: this.host });
+
+    try {
+      const response = await this.client.post(
+        "/api/auth/login",
+        {
+          username: this.username,
+          password: this.password,
+          remember: true,
+        },
+        {
+          headers: { "Content-Type": "application/json" },
+          timeout: 10000,
+        }
+      );
+
+      const cookie = findTokenCookie(response.headers["set-cookie"]);
+      if (!cookie) {
+        throw new Error("No session token found in authentication response");
+      }
+
+      this.token = cookie.value;
+      this.tokenExpiresAt =
+        getTokenExpiry(cookie) || Date.now() + this.tokenTtlMs;
+      metrics.protectLogins.inc({ result: "success" });
+
+      this.logger.info("Successfully authenticated with UniFi Protect", {
+        expiresAt: new Date(this.tokenExpiresAt).toISOString(),
+      });
+
+      return this.token;
+    } catch (error) {
+      this.invalidate();
+      metrics.protectLogins.inc({ result: "failure" });
+      this.logger.error("Authentication failed", {
+        error: error.message,
+        statusCode: error.response?.status,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Forget the cached session token
+   */
+  invalidate() {
+    this.token = null;
+    this.tokenExpiresAt = 0;
+  }
+
+  /**
+   * Send an authenticated request, re-logging in once on 401
+   * @param {Object} config - Axios request config with a path as `url`
+   * @returns {Promise<Object>} Axios response
+   */
+  async request(config) {
+    let token = await this.getToken();
+
+    const send = () =>
+      this.client.request({
+        ...config,
+        headers: { ...config.headers, Cookie: `TOKEN=${token}` },
+      });
+
+    try {
+      return await send();
+    } catch (error) {
+      if (error.response?.status !== 401) {
+        throw error;
+      }
+
+      // Only drop the token if nobody has already replaced it
+      if (this.token === token) {
+        this.logger.info("Protect session rejected, re-authenticating");
+        this.invalidate();
+      }
+
+      token = await this.getToken();
+      return send();
+    }
+  }
+
+  /**
+   * Send a request to the Integration API with the API key
+   * @param {Object} config - Axios request config with a path below
+   *   /proxy/protect/integration/v1 as `url`
+   * @returns {Promise<Object>} Axios response
+   */
+  integrationRequest(config) {
+    return this.client.request({
+      ...config,
+      url: `${INTEGRATION_PATH}${config.url}`,
+      headers: { ...config.headers, "X-API-KEY": this.apiKey },
+    });
+  }
+
+  /**
+   * Get the Protect version from the Integration API, useful to check the
+   * API key
+   * @returns {Promise<Object>} Info with applicationVersion
+   */
+  async getMetaInfo() {
+    const response = await this.integrationRequest({
+      method: "get",
+      url: "/meta/info",
+      headers: { accept: "application/json" },
+    });
+
+    return response.data;
+  }
+
+  /**
+   * Get the logged-in user, useful to check the session
+   * @returns {Promise<Object>} Current user
+   */
+  async getCurrentUser() {
+    const response = await this.request({ method: "get", url: "/api/auth/me" });
+    return response.data;
+  }
+
+  /**
+   * Get the Protect bootstrap with every camera, sensor and other device
+   *
+   * With an API key only the device lists are fetched, from the
+   * Integration API; there is no lastUpdateId then.
+   * @returns {Promise<Object>} Bootstrap
+   */
+  async getBootstrap() {
+    if (this.apiKey) {
+      const collections = ["cameras", "sensors", "lights", "chimes"];
+      const responses = await Promise.all(
+        collections.map((collection) =>
+          this.integrationRequest({
+            method: "get",
+            url: `/${collection}`,
+            headers: { accept: "application/json" },
+          })
+        )
+      );
+
+      return Object.fromEntries(
+        collections.map((collection, index) => [
+          collection,
+          responses[index].data,
+        ])
+      );
+    }
+
+    const response = await this.request({
+      method: "get",
+      url: "/proxy/protect/api/bootstrap",
+      headers: { accept: "application/json" },
+    });
+
+    return response.data;
+  }
+
+  /**
+   * List Protect events
+   * @param {Object} params - Query parameters (start, end, limit, ...)
+   * @returns {Promise<Array<Object>>} Events
+   */
+  async getEvents(params = {}) {
+    const response = await this.request({
+      method: "get",
+      url: "/proxy/protect/api/events",
+      headers: { accept: "application/json" },
+      params,
+    });
+
+    return Array.isArray(response.data) ? response.data : response.data?.data;
+  }
+
+  /**
+   * Get a single Protect event
+   * @param {string} eventId - Event ID
+   * @returns {Promise<Object>} Event
+   */
+  async getEvent(eventId) {
+    const response = await this.request({
+      method: "get",
+      url: `/proxy/protect/api/events/${eventId}`,
+      headers: { accept: "application/json" },
+    });
+
+    return response.data;
+  }
+
+  /**
+   * Poll an event until Protect reports its end or the wait runs out
+   * @param {string} eventId - Event ID
+   * @param {Object} options - Polling options
+   * @param {number} options.maxWaitMs - How long to wait for the end
+   * @param {number} options.pollIntervalMs - How often to check the event
+   * @returns {Promise<Object>} Latest event state; `end` is unset if the
+   *   event was still running when the wait ran out
+   */
+  async waitForEventEnd(eventId, options = {}) {
+    const maxWaitMs = options.maxWaitMs || 120000;
+    const pollIntervalMs = options.pollIntervalMs || 2000;
+    const deadline = Date.now() + maxWaitMs;
+    let event = await this.getEvent(eventId);
+
+    while (!event.end && Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, pollIntervalMs));
+      event = await this.getEvent(eventId);
+    }
+
+    return event;
+  }
+
+  /**
+   * Download the static JPEG thumbnail of an event
+   * @param {string} eventId - Event ID
+   * @returns {Promise<Buffer>} Thumbnail data
+   */
+  async getThumbnail(eventId) {
+    const response = await this.request({
+      method: "get",
+      url: `/proxy/protect/api/events/${eventId}/thumbnail`,
+      headers: { accept: "image/*" },
+      responseType: "arraybuffer",
+    });
+
+    return Buffer.from(response.data);
+  }
+
+  /**
+   * Download the animated GIF thumbnail of an event
+   * @param {string} eventId - Event ID
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Buffer>} Thumbnail data
+   */
+  async getAnimatedThumbnail(
+    eventId,
+    params = { keyFrameOnly: true, speedup: 10 }
+  ) {
+    const response = await this.request({
+      method: "get",
+      url: `/proxy/protect/api/events/${eventId}/animated-thumbnail`,
+      headers: { accept: "image/*" },
+      params,
+      responseType: "arraybuffer",
+      timeout: 30000,
+    });
+
+    return Buffer.from(response.data);
+  }
+
+  /**
+   * Take a JPEG snapshot of what a camera sees now, through the
+   * Integration API if there is an API key
+   * @param {string} cameraId - Protect camera ID
+   * @returns {Promise<Buffer>} Snapshot data
+   */
+  async getSnapshot(cameraId) {
+    const config = {
+      method: "get",
+      url: `/cameras/${cameraId}/snapshot`,
+      headers: { accept: "image/*" },
+      responseType: "arraybuffer",
+    };
+
+    const response = this.apiKey
+      ? await this.integrationRequest(config)
+      : await this.request({
+          ...config,
+          url: `/proxy/protect/api${config.url}`,
+        });
+
+    return Buffer.from(response.data);
+  }
+
+  /**
+   * Export a recording segment of a camera as MP4
+   * @param {Object} params - Export parameters
+   * @param {string} params.camera - Protect camera ID
+   * @param {number} params.start - Segment start (epoch ms)
+   * @param {number} params.end - Segment end (epoch ms)
+   * @param {number} params.maxBytes - Stop the download once the export
+   *   grows larger than this
+   * @returns {Promise<Buffer>} MP4 data
+   * @throws {Error} With `tooLarge` set if the export exceeds maxBytes
+   */
+  async exportVideo({ camera, start, end, maxBytes }) {
+    try {
+      const response = await this.request({
+        method: "get",
+        url: "/proxy/protect/api/video/export",
+        headers: { accept: "video/mp4" },
+        params: { camera, start, end },
+        responseType: "arraybuffer",
+        maxContentLength: maxBytes || -1,
+        timeout: 120000,
+      });
+
+      return Buffer.from(response.data);
+    } catch (error) {
+      if (
+        maxBytes &&
+        /maxContentLength size of \d+ exceeded/.test(error.message)
+      ) {
+        error.tooLarge = true;
+      }
+
+      throw error;
+    }
+  }
+}
+
+/**
+ * Split a Protect host setting into the host and the base URL
+ * @param {string} value - Host, host:port or URL
+ * @returns {Object} Host with port, and the base URL without a trailing slash
+ * @throws {Error} If the value has a scheme other than http or https
+ */
+function parseHost(value) {
+  if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(value)) {
+    return { host: value, baseUrl: `https://${value}` };
+  }
+
+  const url = new URL(value);
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new Error(`Unsupported Protect host scheme "${url.protocol}"`);
+  }
+
+  return { host: url.host, baseUrl: url.origin };
+}
+
+/**
+ * Find and parse the TOKEN cookie from Set-Cookie headers
+ * @param {Array<string>} cookies - Set-Cookie header values
+ * @returns {Object|null} Cookie value and attributes
+ */
+function findTokenCookie(cookies = []) {
+  for (const cookie of cookies) {
+    if (!cookie.includes("TOKEN=")) continue;
+
+    const [pair, ...attributes] = cookie.split(";").map((part) => part.trim());
+    const parsed = { value: pair.split("TOKEN=")[1] };
+
+    for (const attribute of attributes) {
+      const [name, value] = attribute.split("=");
+      parsed[name.toLowerCase()] = value;
+    }
+
+    return parsed;
+  }
+
+  return null;
+}
+
+/**
+ * Work out when a TOKEN cookie expires
+ * @param {Object} cookie - Parsed cookie from findTokenCookie
+ * @returns {number|null} Expiry as epoch milliseconds
+ */
+function getTokenExpiry(cookie) {
+  // The token is a JWT; its exp claim is the most reliable source
+  try {
+    const payload = JSON.parse(
+      Buffer.from(cookie.value.split(".")[1], "base64url").toString("utf8")
+    );
+    if (payload.exp) {
+      return payload.exp * 1000;
+    }
+  } catch (error) {
+    // Not a JWT, fall through to cookie attributes
+  }
+
+  if (cookie["max-age"]) {
+    return Date.now() + parseInt(cookie["max-age"], 10) * 1000;
+  }
+
+  if (cookie.expires) {
+    const expires = Date.parse(cookie.expires);
+    if (!Number.isNaN(expires)) {
+      return expires;
+    }
+  }
+
+  return null;
+}
+
+module.exports = ProtectClient;
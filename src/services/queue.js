@@ -0,0 +1,346 @@
+const fs = require("fs");
+const path = require("path");
+const { createLogger } = require("../utils/logger");
+
+const logger = createLogger();
+
+/**
+ * Durable on-disk retry queue for failed Discord deliveries
+ *
+ * Each delivery is stored as one JSON file under `pending/`. Deliveries that
+ * run out of attempts, or fail with an error that retrying cannot fix, are
+ * moved to `dead/` where they can be inspected and retried manually.
+ */
+class DeliveryQueue {
+  /**
+   * @param {Object} options - Queue options
+   * @param {string} options.directory - Directory holding the queue files
+   * @param {number} options.maxAttempts - Attempts before dead-lettering
+   * @param {number} options.baseDelayMs - First retry delay
+   * @param {number} options.maxDelayMs - Upper bound for the retry delay
+   * @param {number} options.pollIntervalMs - How often to look for due entries
+   */
+  constructor(options = {}) {
+    this.directory = options.directory || path.join("data", "queue");
+    this.maxAttempts = options.maxAttempts || 8;
+    this.baseDelayMs = options.baseDelayMs || 5000;
+    this.maxDelayMs = options.maxDelayMs || 15 * 60 * 1000;
+    this.pollIntervalMs = options.pollIntervalMs || 5000;
+    this.pendingDir = path.join(this.directory, "pending");
+    this.deadDir = path.join(this.directory, "dead");
+    this.logger = logger.child({ service: "queue" });
+    this.deliver = null;
+    this.timer = null;
+    this.processing = false;
+
+    fs.mkdirSync(this.pendingDir, { recursive: true });
+    fs.mkdirSync(this.deadDir, { recursive: true });
+  }
+
+  /**
+   * Start retrying due deliveries in the background
+   * @param {Function} deliver - Async function that re-sends a queue entry
+   */
+  start(deliver) {
+    this.deliver = deliver;
+    this.timer = setInterval(() => this.processDue(), this.pollIntervalMs);
+    this.timer.unref();
+
+    this.logger.info("Delivery queue started", {
+      directory: this.directory,
+      ...this.depth(),
+    });
+  }
+
+  /**
+   * Stop the background retry loop
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Save a failed delivery for later retry
+   * @param {Object} delivery - Delivery to queue
+   * @param {string} delivery.webhookUrl - Destination webhook URL
+   * @param {string} delivery.route - Route name that selected the webhook
+   * @param {Object} delivery.messageData - Discord message payload
+   * @param {Object|null} delivery.attachment - Optional thumbnail or clip
+   *   with buffer, filename, content type and mode
+   * @param {string} delivery.requestId - Request ID for logging
+   * @param {Array<string>} delivery.historyIds - Event history records covered
+   * @param {Error} error - Error from the failed attempt
+   * @returns {Object} Queue entry summary
+   */
+  enqueue(delivery, error) {
+    const now = Date.now();
+    const entry = {
+      id: `dlv_${now}_${Math.random().toString(36).substr(2, 9)}`,
+      requestId: delivery.requestId,
+      historyIds: delivery.historyIds || [],
+      route: delivery.route,
+      webhookUrl: delivery.webhookUrl,
+      messageData: delivery.messageData,
+      attachment: delivery.attachment
+        ? {
+            filename: delivery.attachment.filename,
+            contentType: delivery.attachment.contentType,
+            // Clips are uploaded with a longer timeout
+            mode: delivery.attachment.mode || null,
+            data: delivery.attachment.buffer.toString("base64"),
+          }
+        : null,
+      attempts: 1,
+      createdAt: new Date(now).toISOString(),
+      nextAttemptAt: null,
+      lastError: null,
+      lastStatus: null,
+    };
+
+    this.recordFailure(entry, error);
+    return summarize(entry);
+  }
+
+  /**
+   * Retry every pending delivery whose next attempt is due
+   * @returns {Promise<void>}
+   */
+  async processDue() {
+    if (this.processing || !this.deliver) {
+      return;
+    }
+
+    this.processing = true;
+
+    try {
+      const due = this.readEntries(this.pendingDir)
+        .filter((entry) => Date.parse(entry.nextAttemptAt) <= Date.now())
+        .sort(
+          (a, b) => Date.parse(a.nextAttemptAt) - Date.parse(b.nextAttemptAt)
+        );
+
+      for (const entry of due) {
+        await this.attempt(entry);
+      }
+    } catch (error) {
+      this.logger.error("Failed to process delivery queue", {
+        error: error.message,
+      });
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Re-send a single queue entry and update its state
+   * @param {Object} entry - Pending queue entry
+   * @returns {Promise<void>}
+   */
+  async attempt(entry) {
+    const entryLogger = this.logger.child({ requestId: entry.requestId });
+
+    try {
+      const result = await this.deliver({
+        ...entry,
+        attachment: decodeAttachment(entry.attachment),
+      });
+
+      this.remove(this.pendingDir, entry.id);
+      entryLogger.info("Queued delivery succeeded", {
+        id: entry.id,
+        attempts: entry.attempts + 1,
+        messageId: result?.id,
+      });
+    } catch (error) {
+      entry.attempts += 1;
+      this.recordFailure(entry, error);
+    }
+  }
+
+  /**
+   * Schedule the next attempt or dead-letter the entry
+   * @param {Object} entry - Queue entry
+   * @param {Error} error - Error from the last attempt
+   */
+  recordFailure(entry, error) {
+    const entryLogger = this.logger.child({ requestId: entry.requestId });
+
+    entry.lastError = error.message;
+    entry.lastStatus = error.statusCode || null;
+
+    if (error.retryable === false || entry.attempts >= this.maxAttempts) {
+      entry.nextAttemptAt = null;
+      entry.deadAt = new Date().toISOString();
+      this.write(this.deadDir, entry);
+      this.remove(this.pendingDir, entry.id);
+
+      entryLogger.error("Delivery dead-lettered", {
+        id: entry.id,
+        attempts: entry.attempts,
+        statusCode: entry.lastStatus,
+        error: entry.lastError,
+      });
+      return;
+    }
+
+    const delay = this.getRetryDelay(entry.attempts, error.retryAfterMs);
+    entry.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    this.write(this.pendingDir, entry);
+
+    entryLogger.warn("Delivery queued for retry", {
+      id: entry.id,
+      attempts: entry.attempts,
+      retryInMs: delay,
+      statusCode: entry.lastStatus,
+    });
+  }
+
+  /**
+   * Compute the delay before the next attempt
+   * @param {number} attempts - Attempts made so far
+   * @param {number} retryAfterMs - Delay requested by Discord, if any
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempts, retryAfterMs) {
+    if (retryAfterMs) {
+      return retryAfterMs;
+    }
+
+    return Math.min(
+      this.maxDelayMs,
+      this.baseDelayMs * Math.pow(2, attempts - 1)
+    );
+  }
+
+  /**
+   * List pending and dead-lettered deliveries
+   * @returns {Object} Entry summaries without message payloads
+   */
+  list() {
+    return {
+      pending: this.readEntries(this.pendingDir).map(summarize),
+      dead: this.readEntries(this.deadDir).map(summarize),
+    };
+  }
+
+  /**
+   * Get the number of pending and dead-lettered deliveries
+   * @returns {Object} Pending and dead counts
+   */
+  depth() {
+    return {
+      pending: this.readEntries(this.pendingDir).length,
+      dead: this.readEntries(this.deadDir).length,
+    };
+  }
+
+  /**
+   * Move a dead-lettered delivery back to the pending queue
+   * @param {string} id - Queue entry ID
+   * @returns {Object|null} Entry summary, or null if not found
+   */
+  retryDead(id) {
+    const entry = this.read(this.deadDir, id);
+    if (!entry) {
+      return null;
+    }
+
+    entry.attempts = 0;
+    entry.nextAttemptAt = new Date().toISOString();
+    delete entry.deadAt;
+
+    this.write(this.pendingDir, entry);
+    this.remove(this.deadDir, id);
+    this.logger.info("Dead-lettered delivery requeued", { id });
+
+    setImmediate(() => this.processDue());
+    return summarize(entry);
+  }
+
+  readEntries(directory) {
+    return fs
+      .readdirSync(directory)
+      .filter((file) => file.endsWith(".json"))
+      .map((file) => this.read(directory, path.basename(file, ".json")))
+      .filter(Boolean);
+  }
+
+  read(directory, id) {
+    if (!isValidId(id)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(
+        fs.readFileSync(path.join(directory, `${id}.json`), "utf8")
+      );
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        this.logger.error("Failed to read queue entry", {
+          id,
+          error: error.message,
+        });
+      }
+      return null;
+    }
+  }
+
+  write(directory, entry) {
+    const file = path.join(directory, `${entry.id}.json`);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(entry));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  remove(directory, id) {
+    fs.rmSync(path.join(directory, `${id}.json`), { force: true });
+  }
+}
+
+/**
+ * Turn a stored attachment back into a thumbnail
+ * @param {Object|null} attachment - Attachment from a queue entry
+ * @returns {Object|null} Thumbnail with buffer, filename, content type and
+ *   mode
+ */
+function decodeAttachment(attachment) {
+  if (!attachment) {
+    return null;
+  }
+
+  return {
+    buffer: Buffer.from(attachment.data, "base64"),
+    filename: attachment.filename,
+    contentType: attachment.contentType,
+    mode: attachment.mode,
+  };
+}
+
+/**
+ * Strip payloads and secrets from a queue entry for API responses
+ * @param {Object} entry - Queue entry
+ * @returns {Object} Entry summary
+ */
+function summarize(entry) {
+  return {
+    id: entry.id,
+    requestId: entry.requestId,
+    route: entry.route,
+    webhookUrl: entry.webhookUrl.substring(0, 50) + "...",
+    hasAttachment: !!entry.attachment,
+    attempts: entry.attempts,
+    createdAt: entry.createdAt,
+    nextAttemptAt: entry.nextAttemptAt,
+    deadAt: entry.deadAt,
+    lastError: entry.lastError,
+    lastStatus: entry.lastStatus,
+  };
+}
+
+function isValidId(id) {
+  return /^dlv_[a-z0-9_]+$/i.test(id);
+}
+
+module.exports = DeliveryQueue;
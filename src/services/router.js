@@ -0,0 +1,223 @@
+const fs = require("fs");
+
+/**
+ * Event router that picks destination Discord webhooks for an event
+ *
+ * A routing table is a list of routes. Every route whose `match` block fits
+ * the event contributes its webhooks; when nothing matches, the event goes to
+ * the default webhook.
+ *
+ * Example route:
+ * {
+ *   "name": "front-door",
+ *   "match": { "devices": ["942A6FD0AB12"], "eventTypes": ["person"] },
+ *   "webhooks": ["https://discord.com/api/webhooks/..."],
+ *   "mention": "<@&123456789012345678>"
+ * }
+ */
+class EventRouter {
+  /**
+   * @param {Array<Object>} routes - Routing table
+   * @param {Object} options - Router options
+   * @param {string} options.defaultWebhookUrl - Fallback webhook URL
+   * @param {string} options.defaultMention - Mention for the fallback webhook
+   */
+  constructor(routes = [], options = {}) {
+    this.routes = routes.map((route, index) => normalizeRoute(route, index));
+    this.defaultWebhookUrl = options.defaultWebhookUrl || null;
+    this.defaultMention = options.defaultMention || null;
+  }
+
+  /**
+   * Resolve the destination webhooks for an event
+   * @param {Object} facts - Values extracted from the alarm
+   * @param {string} facts.eventType - Event type from extractEventType
+   * @param {Array<string>} facts.devices - Device MACs from the triggers
+   * @param {Array<string>} facts.triggers - Trigger keys from the triggers
+   * @param {string|null} facts.person - Person name from extractPersonInfo
+   * @returns {Array<Object>} Destinations with route name, webhook URL and
+   *   optional mention
+   */
+  resolve(facts) {
+    const destinations = [];
+    const seen = new Set();
+
+    const add = (routeName, webhookUrl, mention) => {
+      if (seen.has(webhookUrl)) return;
+      seen.add(webhookUrl);
+      destinations.push({ route: routeName, webhookUrl, mention });
+    };
+
+    for (const route of this.routes) {
+      if (this.matches(route, facts)) {
+        route.webhooks.forEach((webhookUrl) =>
+          add(route.name, webhookUrl, route.mention)
+        );
+      }
+    }
+
+    if (destinations.length === 0 && this.defaultWebhookUrl) {
+      add("default", this.defaultWebhookUrl, this.defaultMention);
+    }
+
+    return destinations;
+  }
+
+  /**
+   * List every configured webhook once, the default webhook first
+   * @returns {Array<Object>} Destinations with route name and webhook URL
+   */
+  listDestinations() {
+    const destinations = [];
+    const seen = new Set();
+
+    const add = (routeName, webhookUrl) => {
+      if (seen.has(webhookUrl)) return;
+      seen.add(webhookUrl);
+      destinations.push({ route: routeName, webhookUrl });
+    };
+
+    if (this.defaultWebhookUrl) {
+      add("default", this.defaultWebhookUrl);
+    }
+
+    for (const route of this.routes) {
+      route.webhooks.forEach((webhookUrl) => add(route.name, webhookUrl));
+    }
+
+    return destinations;
+  }
+
+  /**
+   * Check whether a route matches the event
+   * @param {Object} route - Normalized route
+   * @param {Object} facts - Values extracted from the alarm
+   * @returns {boolean} True if every configured matcher fits
+   */
+  matches(route, facts) {
+    return matchesFacts(route.match, facts);
+  }
+}
+
+/**
+ * Check whether a normalized match block fits the event
+ * @param {Object} match - Match block from normalizeMatch
+ * @param {Object} facts - Values extracted from the alarm
+ * @returns {boolean} True if every configured matcher fits
+ */
+function matchesFacts(match, facts) {
+  if (match.eventTypes && !match.eventTypes.includes(lower(facts.eventType))) {
+    return false;
+  }
+
+  if (
+    match.devices &&
+    !(facts.devices || []).some((device) =>
+      match.devices.includes(lower(device))
+    )
+  ) {
+    return false;
+  }
+
+  if (
+    match.triggers &&
+    !(facts.triggers || []).some((trigger) =>
+      match.triggers.includes(lower(trigger))
+    )
+  ) {
+    return false;
+  }
+
+  if (match.persons) {
+    const person = lower(facts.person);
+    const anyPerson = match.persons.includes("*") && person;
+    if (!anyPerson && !match.persons.includes(person)) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Validate a route definition and lower-case its matchers
+ * @param {Object} route - Raw route from configuration
+ * @param {number} index - Position in the routing table
+ * @returns {Object} Normalized route
+ */
+function normalizeRoute(route, index) {
+  if (!route || typeof route !== "object") {
+    throw new Error(`Route ${index} must be an object`);
+  }
+
+  const name = route.name || `route-${index}`;
+  const webhooks = toList(route.webhooks || route.webhook);
+
+  if (webhooks.length === 0) {
+    throw new Error(`Route "${name}" must define at least one webhook`);
+  }
+
+  return {
+    name,
+    webhooks,
+    match: normalizeMatch(route.match),
+    mention: route.mention || null,
+  };
+}
+
+/**
+ * Lower-case the matchers of a raw match block
+ * @param {Object} raw - Match block from configuration
+ * @returns {Object} Normalized match block
+ */
+function normalizeMatch(raw) {
+  const match = {};
+  for (const key of ["eventTypes", "devices", "triggers", "persons"]) {
+    if (raw && raw[key] !== undefined) {
+      match[key] = toList(raw[key]).map(lower);
+    }
+  }
+
+  return match;
+}
+
+/**
+ * Load the routing table from DISCORD_ROUTES (inline JSON) or
+ * DISCORD_ROUTES_FILE (path to a JSON file)
+ * @param {Object} env - Environment variables
+ * @returns {Array<Object>} Raw routes, empty when none are configured
+ */
+function loadRoutes(env = process.env) {
+  let raw = env.DISCORD_ROUTES;
+
+  if (!raw && env.DISCORD_ROUTES_FILE) {
+    raw = fs.readFileSync(env.DISCORD_ROUTES_FILE, "utf8");
+  }
+
+  if (!raw) {
+    return [];
+  }
+
+  const parsed = JSON.parse(raw);
+  const routes = Array.isArray(parsed) ? parsed : parsed.routes;
+
+  if (!Array.isArray(routes)) {
+    throw new Error("Routing table must be an array of routes");
+  }
+
+  return routes;
+}
+
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function lower(value) {
+  return value ? String(value).toLowerCase() : value;
+}
+
+module.exports = EventRouter;
+module.exports.loadRoutes = loadRoutes;
+module.exports.normalizeMatch = normalizeMatch;
+module.exports.matchesFacts = matchesFacts;
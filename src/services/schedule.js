@@ -0,0 +1,213 @@
+const fs = require("fs");
+const { normalizeMatch, matchesFacts } = require("./router");
+
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const ACTIONS = ["post", "drop", "downgrade"];
+
+/**
+ * Time-window rules deciding whether an event is posted, dropped or
+ * downgraded (posted without thumbnail or mention)
+ *
+ * Rules are checked in order and the first one whose match block, days and
+ * time range fit the event wins. Events matching no rule are posted.
+ *
+ * Example rule:
+ * {
+ *   "name": "backyard-daytime",
+ *   "match": { "devices": ["74ACB99F4E24"], "eventTypes": ["motion"] },
+ *   "days": ["mon-fri"],
+ *   "from": "07:00",
+ *   "to": "19:00",
+ *   "action": "drop"
+ * }
+ *
+ * A range whose `from` is later than its `to` runs overnight; the part after
+ * midnight belongs to the day the range started on.
+ */
+class EventSchedule {
+  /**
+   * @param {Array<Object>} rules - Schedule rules
+   * @param {Object} options - Schedule options
+   * @param {string} options.timeZone - IANA time zone for days and times
+   */
+  constructor(rules = [], options = {}) {
+    this.timeZone = options.timeZone || undefined;
+    this.rules = rules.map((rule, index) => normalizeRule(rule, index));
+
+    // Throws RangeError for unknown time zones
+    this.formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone: this.timeZone,
+      weekday: "short",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    });
+  }
+
+  /**
+   * Get the local day of week and minute of day
+   * @param {Date} date - Point in time
+   * @returns {Object} Day index (0 = Sunday) and minutes since midnight
+   */
+  getLocalTime(date) {
+    const parts = Object.fromEntries(
+      this.formatter.formatToParts(date).map((part) => [part.type, part.value])
+    );
+
+    return {
+      day: DAYS.indexOf(parts.weekday.toLowerCase()),
+      minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10),
+    };
+  }
+
+  /**
+   * Decide what to do with an event
+   * @param {Object} facts - Values from DiscordService.extractRoutingFacts
+   * @param {Date} date - Time of the event
+   * @returns {Object} Action and the name of the rule that chose it
+   */
+  evaluate(facts, date = new Date()) {
+    const { day, minutes } = this.getLocalTime(date);
+
+    for (const rule of this.rules) {
+      if (matchesFacts(rule.match, facts) && inWindow(rule, day, minutes)) {
+        return { action: rule.action, rule: rule.name };
+      }
+    }
+
+    return { action: "post", rule: null };
+  }
+}
+
+/**
+ * Check whether a local time falls inside a rule's days and time range
+ * @param {Object} rule - Normalized rule
+ * @param {number} day - Day index (0 = Sunday)
+ * @param {number} minutes - Minutes since midnight
+ * @returns {boolean} True if the rule is active
+ */
+function inWindow(rule, day, minutes) {
+  const { days, from, to } = rule;
+
+  if (from <= to) {
+    return days.has(day) && minutes >= from && minutes < to;
+  }
+
+  // Overnight range, e.g. 22:00-06:00
+  const previousDay = (day + 6) % 7;
+  return (
+    (days.has(day) && minutes >= from) ||
+    (days.has(previousDay) && minutes < to)
+  );
+}
+
+/**
+ * Validate a rule definition and resolve its days and times
+ * @param {Object} rule - Raw rule from configuration
+ * @param {number} index - Position in the rule list
+ * @returns {Object} Normalized rule
+ */
+function normalizeRule(rule, index) {
+  if (!rule || typeof rule !== "object") {
+    throw new Error(`Schedule rule ${index} must be an object`);
+  }
+
+  const name = rule.name || `rule-${index}`;
+  const action = rule.action || "drop";
+
+  if (!ACTIONS.includes(action)) {
+    throw new Error(`Schedule rule "${name}" has unknown action "${action}"`);
+  }
+
+  return {
+    name,
+    action,
+    match: normalizeMatch(rule.match),
+    days: parseDays(rule.days, name),
+    from: parseTime(rule.from || "00:00", name),
+    to: parseTime(rule.to || "24:00", name),
+  };
+}
+
+/**
+ * Parse a list of day names and ranges such as ["mon-fri", "sun"]
+ * @param {Array<string>|string} value - Days from configuration
+ * @param {string} name - Rule name for error messages
+ * @returns {Set<number>} Day indexes (0 = Sunday)
+ */
+function parseDays(value, name) {
+  if (value === undefined || value === "*") {
+    return new Set(DAYS.map((day, index) => index));
+  }
+
+  const days = new Set();
+  const entries = Array.isArray(value) ? value : String(value).split(",");
+
+  for (const entry of entries) {
+    const [start, end = start] = String(entry)
+      .trim()
+      .toLowerCase()
+      .split("-")
+      .map((day) => DAYS.indexOf(day.slice(0, 3)));
+
+    if (start === -1 || end === -1) {
+      throw new Error(`Schedule rule "${name}" has invalid day "${entry}"`);
+    }
+
+    for (let day = start; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === end) break;
+    }
+  }
+
+  return days;
+}
+
+/**
+ * Parse an HH:MM time into minutes since midnight
+ * @param {string} value - Time from configuration
+ * @param {string} name - Rule name for error messages
+ * @returns {number} Minutes since midnight
+ */
+function parseTime(value, name) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value));
+  const minutes = match
+    ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10)
+    : NaN;
+
+  if (!(minutes >= 0 && minutes <= 24 * 60)) {
+    throw new Error(`Schedule rule "${name}" has invalid time "${value}"`);
+  }
+
+  return minutes;
+}
+
+/**
+ * Load schedule rules from SCHEDULE_RULES (inline JSON) or
+ * SCHEDULE_RULES_FILE (path to a JSON file)
+ * @param {Object} env - Environment variables
+ * @returns {Array<Object>} Raw rules, empty when none are configured
+ */
+function loadRules(env = process.env) {
+  let raw = env.SCHEDULE_RULES;
+
+  if (!raw && env.SCHEDULE_RULES_FILE) {
+    raw = fs.readFileSync(env.SCHEDULE_RULES_FILE, "utf8");
+  }
+
+  if (!raw) {
+    return [];
+  }
+
+  const parsed = JSON.parse(raw);
+  const rules = Array.isArray(parsed) ? parsed : parsed.rules;
+
+  if (!Array.isArray(rules)) {
+    throw new Error("Schedule must be an array of rules");
+  }
+
+  return rules;
+}
+
+module.exports = EventSchedule;
+module.exports.loadRules = loadRules;
@@ -0,0 +1,75 @@
+/**
+ * Cameras snoozed from Discord
+ *
+ * Events from a snoozed device are suppressed until the snooze runs out.
+ * Snoozes are kept in memory and cleared on restart.
+ */
+class SnoozeList {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /**
+   * Snooze a device
+   * @param {string} mac - Device MAC
+   * @param {number} durationMs - How long to snooze
+   * @param {Object} details - Who snoozed it and a display name
+   * @param {string} details.by - User that snoozed the device
+   * @param {string} details.name - Camera name for messages
+   * @returns {Object} Snooze entry
+   */
+  snooze(mac, durationMs, details = {}) {
+    const entry = {
+      mac: mac.toUpperCase(),
+      name: details.name || mac,
+      by: details.by || null,
+      until: Date.now() + durationMs,
+    };
+
+    this.entries.set(entry.mac, entry);
+    return entry;
+  }
+
+  /**
+   * Remove the snooze of a device
+   * @param {string} mac - Device MAC
+   * @returns {boolean} True if the device was snoozed
+   */
+  clear(mac) {
+    return this.entries.delete(mac.toUpperCase());
+  }
+
+  /**
+   * Find an active snooze for any of the devices of an event
+   * @param {Array<string>} macs - Device MACs from the alarm triggers
+   * @returns {Object|null} Snooze entry, or null if none is active
+   */
+  check(macs) {
+    this.prune();
+
+    for (const mac of macs || []) {
+      const entry = this.entries.get(mac.toUpperCase());
+      if (entry) return entry;
+    }
+
+    return null;
+  }
+
+  /**
+   * List active snoozes
+   * @returns {Array<Object>} Snooze entries
+   */
+  list() {
+    this.prune();
+    return [...this.entries.values()];
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [mac, entry] of this.entries) {
+      if (entry.until <= now) this.entries.delete(mac);
+    }
+  }
+}
+
+module.exports = SnoozeList;
@@ -0,0 +1,246 @@
+const fs = require("fs");
+
+// Fields that templates can list by name instead of spelling them out
+const FIELD_PRESETS = {
+  eventType: { name: "Event Type", value: "{{eventType}}", inline: true },
+  person: { name: "Person", value: "{{person}}", inline: true },
+  camera: { name: "Camera", value: "{{camera}}", inline: true },
+  device: { name: "Device", value: "{{device}}", inline: true },
+  eventId: { name: "Event ID", value: "{{eventId}}", inline: true },
+  time: { name: "Time", value: "{{time}}", inline: true },
+  link: { name: "Link", value: "{{link}}", inline: false },
+  conditions: { name: "Conditions", value: "{{conditions}}", inline: false },
+};
+
+// Same layout as DiscordService.transformToDiscordFormat
+const DEFAULT_TEMPLATE = {
+  content: "{{emoji}} **{{label}}**",
+  title: "Unifi Protect Alert",
+  description: "{{alarmName}}",
+  fields: ["eventType", "person", "device", "eventId", "conditions"],
+};
+
+// Discord embed limits
+const LIMITS = {
+  content: 2000,
+  title: 256,
+  description: 4096,
+  fieldName: 256,
+  fieldValue: 1024,
+  footer: 2048,
+  fields: 25,
+};
+
+/**
+ * User-defined layouts for Discord event messages
+ *
+ * A template file has a `default` template and optional per-event-type
+ * overrides that are merged over it:
+ * {
+ *   "default": {
+ *     "title": "{{camera}}",
+ *     "description": "{{alarmName}} at {{time}}",
+ *     "fields": ["eventType", "person", { "name": "Open", "value": "{{link}}" }]
+ *   },
+ *   "eventTypes": {
+ *     "vehicle": { "emoji": "🚙", "color": "#00ffff" }
+ *   }
+ * }
+ *
+ * Strings may use {{placeholders}} for any value of the event context.
+ * Fields whose value renders empty are left out.
+ */
+class MessageTemplates {
+  /**
+   * @param {Object} config - Parsed template file
+   * @param {Object} options - Template options
+   * @param {string} options.timeZone - IANA time zone for {{time}}
+   */
+  constructor(config = {}, options = {}) {
+    if (!config || typeof config !== "object") {
+      throw new Error("Template file must contain a JSON object");
+    }
+
+    this.defaultTemplate = { ...DEFAULT_TEMPLATE, ...config.default };
+    this.eventTypeTemplates = config.eventTypes || {};
+
+    // Throws RangeError for unknown time zones
+    this.timeFormatter = new Intl.DateTimeFormat("en-US", {
+      timeZone: options.timeZone || undefined,
+      dateStyle: "medium",
+      timeStyle: "short",
+    });
+
+    for (const [eventType, template] of Object.entries({
+      default: this.defaultTemplate,
+      ...this.eventTypeTemplates,
+    })) {
+      validateFields(template.fields, eventType);
+    }
+  }
+
+  /**
+   * Get the template for an event type, merged over the default
+   * @param {string} eventType - Event type
+   * @returns {Object} Template
+   */
+  getTemplate(eventType) {
+    return {
+      ...this.defaultTemplate,
+      ...this.eventTypeTemplates[String(eventType).toLowerCase()],
+    };
+  }
+
+  /**
+   * Render a Discord message for an event
+   * @param {Object} context - Values from DiscordService.buildTemplateContext
+   * @returns {Object} Discord message with content and one embed
+   * @throws {Error} If a placeholder is unknown or the result breaks
+   *   Discord's limits
+   */
+  render(context) {
+    const template = this.getTemplate(context.eventType);
+    const values = {
+      ...context,
+      emoji: template.emoji ?? context.emoji,
+      label: template.label ?? context.label,
+      time: this.timeFormatter.format(new Date(context.timestamp)),
+    };
+    const render = (text) => renderString(text, values);
+
+    const embed = {
+      title: limit(render(template.title), LIMITS.title, "title"),
+      description: limit(
+        render(template.description),
+        LIMITS.description,
+        "description"
+      ),
+      color: parseColor(template.color ?? context.color),
+      timestamp: context.timestamp,
+      fields: [],
+    };
+
+    const url = render(template.url);
+    if (url) embed.url = url;
+
+    const footer = render(template.footer);
+    if (footer) embed.footer = { text: limit(footer, LIMITS.footer, "footer") };
+
+    for (const entry of template.fields || []) {
+      const field = typeof entry === "string" ? FIELD_PRESETS[entry] : entry;
+      const value = render(field.value);
+
+      if (!value) continue;
+
+      embed.fields.push({
+        name: limit(render(field.name), LIMITS.fieldName, "field name"),
+        value: limit(value, LIMITS.fieldValue, "field value"),
+        inline: field.inline !== false,
+      });
+    }
+
+    if (embed.fields.length > LIMITS.fields) {
+      throw new Error(`Template renders more than ${LIMITS.fields} fields`);
+    }
+
+    return {
+      content: limit(render(template.content), LIMITS.content, "content"),
+      embeds: [embed],
+    };
+  }
+}
+
+/**
+ * Replace {{placeholders}} in a string
+ * @param {string} text - Template string
+ * @param {Object} values - Placeholder values
+ * @returns {string} Rendered string, empty if text is missing
+ */
+function renderString(text, values) {
+  if (text === undefined || text === null) {
+    return "";
+  }
+
+  return String(text)
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, key) => {
+      if (!Object.prototype.hasOwnProperty.call(values, key)) {
+        throw new Error(`Unknown placeholder ${placeholder}`);
+      }
+      return values[key] ?? "";
+    })
+    .trim();
+}
+
+function limit(text, max, name) {
+  if (text.length > max) {
+    throw new Error(`Rendered ${name} exceeds ${max} characters`);
+  }
+  return text;
+}
+
+/**
+ * Accept colors as integers or "#rrggbb" strings
+ * @param {number|string} color - Color from the template
+ * @returns {number} Discord color
+ */
+function parseColor(color) {
+  const value =
+    typeof color === "string" ? parseInt(color.replace(/^#/, ""), 16) : color;
+
+  if (!Number.isInteger(value) || value < 0 || value > 0xffffff) {
+    throw new Error(`Invalid color "${color}"`);
+  }
+
+  return value;
+}
+
+/**
+ * Check that template fields are preset names or { name, value } objects
+ * @param {Array} fields - Fields from the template
+ * @param {string} templateName - Template name for error messages
+ */
+function validateFields(fields, templateName) {
+  if (fields === undefined) return;
+
+  if (!Array.isArray(fields)) {
+    throw new Error(`Template "${templateName}" fields must be an array`);
+  }
+
+  for (const field of fields) {
+    // Either a preset name or an object with a name and a value
+    const valid =
+      typeof field === "string"
+        ? !!FIELD_PRESETS[field]
+        : !!(field && field.name && field.value);
+
+    if (!valid) {
+      throw new Error(
+        `Template "${templateName}" has an invalid field: ${JSON.stringify(
+          field
+        )}`
+      );
+    }
+  }
+}
+
+/**
+ * Load templates from TEMPLATES (inline JSON) or TEMPLATES_FILE
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} Parsed templates, null when not configured
+ */
+function loadTemplates(env = process.env) {
+  let raw = env.TEMPLATES;
+
+  if (!raw && env.TEMPLATES_FILE) {
+    raw = fs.readFileSync(env.TEMPLATES_FILE, "utf8");
+  }
+
+  if (!raw) {
+    return null;
+  }
+
+  return JSON.parse(raw);
+}
+
+module.exports = MessageTemplates;
+module.exports.loadTemplates = loadTemplates;
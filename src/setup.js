@@ -0,0 +1,282 @@
+const { createDiscordVerifier } = require("./utils/auth");
+const DiscordService = require("./services/discord");
+const EventRouter = require("./services/router");
+const DeliveryQueue = require("./services/queue");
+const ProtectControllers = require("./services/controllers");
+const { loadControllers } = ProtectControllers;
+const CooldownTracker = require("./services/cooldown");
+const EventHistory = require("./services/history");
+const EventSchedule = require("./services/schedule");
+const MessageTemplates = require("./services/templates");
+const ClipExporter = require("./services/clips");
+const DeviceDirectory = require("./services/devices");
+const InteractionHandler = require("./services/interactions");
+const NotifierSet = require("./services/notifiers");
+
+/**
+ * Build the services behind the Discord pipeline from environment variables
+ *
+ * Shared by the server and the CLI so both read the same configuration.
+ * Server-only parts (aggregation, ingesters, HTTP auth) stay in app.js.
+ * The settings are expected to be validated by loadConfig.
+ *
+ * @param {Object} env - Environment variables
+ * @param {Object} options - Setup options
+ * @param {winston.Logger} options.logger - Logger for the Protect clients
+ * @returns {Object} Services, with discordService wired to the others
+ * @throws {Error} If a part of the configuration is invalid; the message
+ *   names the part
+ */
+function createServices(env = process.env, options = {}) {
+  const { eventRouter, notifiers, schedule, templates } =
+    createReloadableServices(env);
+
+  // Set up the durable retry queue for failed Discord deliveries
+  const deliveryQueue = configure("Failed to initialize delivery queue", () => {
+    if (env.QUEUE_ENABLED === "false") return null;
+
+    return new DeliveryQueue({
+      directory: env.QUEUE_DIR,
+      maxAttempts: parseInt(env.QUEUE_MAX_ATTEMPTS, 10) || undefined,
+      baseDelayMs: (parseFloat(env.QUEUE_BASE_DELAY) || 5) * 1000,
+      maxDelayMs: (parseFloat(env.QUEUE_MAX_DELAY) || 900) * 1000,
+    });
+  });
+
+  // Keep a queryable history of processed events
+  const eventHistory = configure("Failed to initialize event history", () => {
+    if (env.HISTORY_ENABLED === "false") return null;
+
+    return new EventHistory({
+      file: env.HISTORY_FILE,
+      maxEvents: parseInt(env.HISTORY_MAX_EVENTS, 10) || undefined,
+    });
+  });
+
+  // One Protect session per controller, the first one serves events that
+  // can't be tied to a controller
+  const controllers = configure(
+    "Invalid Protect configuration",
+    () =>
+      new ProtectControllers(loadControllers(env), {
+        logger: options.logger,
+        fingerprintFile: env.PROTECT_TLS_FINGERPRINT_FILE,
+      })
+  );
+  const protectClient = controllers.default.protect;
+  const configuredClients = controllers
+    .listConfigured()
+    .map((controller) => controller.protect);
+
+  // Resolve device MACs to camera names from the Protect bootstrap
+  const deviceDirectory = configure(
+    "Invalid device directory configuration",
+    () => {
+      if (
+        configuredClients.length === 0 ||
+        env.DEVICE_DIRECTORY_ENABLED === "false"
+      ) {
+        return null;
+      }
+
+      return new DeviceDirectory({
+        clients: configuredClients,
+        ttlMs: (parseFloat(env.DEVICE_CACHE_TTL_SECONDS) || 3600) * 1000,
+        rooms: JSON.parse(env.DEVICE_ROOMS || "{}"),
+      });
+    }
+  );
+
+  // Export MP4 clips of events for the listed event types
+  let clipExporter = null;
+  if (env.CLIP_EVENT_TYPES) {
+    clipExporter = new ClipExporter({
+      protect: protectClient,
+      eventTypes: env.CLIP_EVENT_TYPES.split(",").map((type) => type.trim()),
+      // Pre- and post-roll may be 0, so only fall back when unset
+      preRollMs: (parseFloat(env.CLIP_PRE_ROLL_SECONDS ?? "2") || 0) * 1000,
+      postRollMs: (parseFloat(env.CLIP_POST_ROLL_SECONDS ?? "2") || 0) * 1000,
+      maxDurationMs: (parseFloat(env.CLIP_MAX_SECONDS) || 30) * 1000,
+      maxBytes:
+        parseInt(env.CLIP_MAX_BYTES, 10) ||
+        parseInt(env.THUMBNAIL_MAX_BYTES, 10) ||
+        10 * 1024 * 1024,
+      maxWaitMs: (parseFloat(env.CLIP_MAX_WAIT_SECONDS) || 120) * 1000,
+    });
+  }
+
+  // Discord buttons and slash commands, enabled by the application public key
+  let discordVerifier = null;
+  let interactionHandler = null;
+  if (env.DISCORD_PUBLIC_KEY) {
+    discordVerifier = configure(
+      "Invalid Discord interactions configuration",
+      () => createDiscordVerifier(env.DISCORD_PUBLIC_KEY)
+    );
+
+    interactionHandler = new InteractionHandler({
+      devices: deviceDirectory,
+      history: eventHistory,
+      queue: deliveryQueue,
+      snoozeMinutes: parseInt(env.SNOOZE_MINUTES, 10) || 60,
+    });
+  }
+
+  // Suppress repeated alarms for the same device and event type
+  const cooldown = configure("Invalid cooldown configuration", () => {
+    if (!(parseFloat(env.COOLDOWN_SECONDS) > 0)) return null;
+
+    const eventTypeSeconds = JSON.parse(env.COOLDOWN_EVENT_TYPES || "{}");
+
+    return new CooldownTracker({
+      windowMs: parseFloat(env.COOLDOWN_SECONDS) * 1000,
+      eventTypeWindowsMs: Object.fromEntries(
+        Object.entries(eventTypeSeconds).map(([type, seconds]) => [
+          type,
+          seconds * 1000,
+        ])
+      ),
+      perPerson: env.COOLDOWN_PER_PERSON === "true",
+      mode: env.COOLDOWN_MODE,
+    });
+  });
+
+  const discordService = configure(
+    "Invalid Discord service configuration",
+    () =>
+      new DiscordService(env.DISCORD_WEBHOOK_URL, {
+        router: eventRouter,
+        queue: deliveryQueue,
+        protect: protectClient,
+        controllers,
+        cooldown,
+        schedule,
+        templates,
+        history: eventHistory,
+        thumbnailMode: env.THUMBNAIL_MODE,
+        thumbnailModes: JSON.parse(env.THUMBNAIL_MODES || "{}"),
+        maxUploadBytes: parseInt(env.THUMBNAIL_MAX_BYTES, 10) || undefined,
+        clips: clipExporter,
+        devices: deviceDirectory,
+        interactions: interactionHandler,
+        notifiers,
+        dryRun: env.DRY_RUN === "true",
+        eventUpdates:
+          env.EVENT_UPDATES_ENABLED !== "false"
+            ? {
+                maxWaitMs:
+                  (parseFloat(env.EVENT_UPDATE_MAX_WAIT_SECONDS) || 300) * 1000,
+                pollIntervalMs:
+                  (parseFloat(env.EVENT_UPDATE_POLL_SECONDS) || 5) * 1000,
+              }
+            : null,
+      })
+  );
+
+  return {
+    eventRouter,
+    notifiers,
+    deliveryQueue,
+    schedule,
+    templates,
+    eventHistory,
+    controllers,
+    protectClient,
+    deviceDirectory,
+    clipExporter,
+    discordVerifier,
+    interactionHandler,
+    cooldown,
+    discordService,
+  };
+}
+
+/**
+ * Build the services that only hold configuration, which a config reload
+ * replaces: routes, notification sinks, schedule rules and templates
+ * @param {Object} env - Environment variables
+ * @returns {Object} Services
+ * @throws {Error} If a part of the configuration is invalid
+ */
+function createReloadableServices(env) {
+  // Load the routing table
+  const eventRouter = configure("Invalid Discord routing table", () => {
+    return new EventRouter(EventRouter.loadRoutes(env), {
+      defaultWebhookUrl: env.DISCORD_WEBHOOK_URL,
+      defaultMention: env.DISCORD_MENTION,
+    });
+  });
+
+  // Load the notification sinks that receive events next to Discord
+  const notifiers = configure("Invalid notifier configuration", () => {
+    const configs = NotifierSet.loadNotifiers(env);
+    return configs.length > 0 ? new NotifierSet(configs) : null;
+  });
+
+  // Load quiet hours and other time-window rules
+  const schedule = configure("Invalid schedule rules", () => {
+    const rules = EventSchedule.loadRules(env);
+    if (rules.length === 0) return null;
+
+    return new EventSchedule(rules, {
+      timeZone: env.SCHEDULE_TIMEZONE || env.TZ,
+    });
+  });
+
+  // Load user-defined message templates
+  const templates = configure("Invalid message templates", () => {
+    const templateConfig = MessageTemplates.loadTemplates(env);
+    if (!templateConfig) return null;
+
+    return new MessageTemplates(templateConfig, {
+      timeZone: env.SCHEDULE_TIMEZONE || env.TZ,
+    });
+  });
+
+  return { eventRouter, notifiers, schedule, templates };
+}
+
+/**
+ * Apply new settings to running services
+ *
+ * The reloadable services are rebuilt and swapped in at once, so an event
+ * that is being processed finishes with either the old or the new parts
+ * and nothing is dropped. Stateful services (queue, history, cooldown,
+ * Protect session, snoozes) are kept.
+ *
+ * @param {Object} services - Services from createServices, updated in place
+ * @param {Object} env - New environment variables
+ * @throws {Error} If the new configuration is invalid; the running services
+ *   are left unchanged
+ */
+function reloadServices(services, env) {
+  const reloaded = createReloadableServices(env);
+
+  configure("Invalid Discord service configuration", () =>
+    services.discordService.reconfigure({
+      webhookUrl: env.DISCORD_WEBHOOK_URL,
+      router: reloaded.eventRouter,
+      notifiers: reloaded.notifiers,
+      schedule: reloaded.schedule,
+      templates: reloaded.templates,
+      thumbnailMode: env.THUMBNAIL_MODE,
+      thumbnailModes: JSON.parse(env.THUMBNAIL_MODES || "{}"),
+      dryRun: env.DRY_RUN === "true",
+    })
+  );
+
+  Object.assign(services, reloaded);
+}
+
+/**
+ * Run one part of the setup, prefixing its errors with what failed
+ */
+function configure(description, create) {
+  try {
+    return create();
+  } catch (error) {
+    throw new Error(`${description}: ${error.message}`);
+  }
+}
+
+module.exports = { createServices, reloadServices };
@@ -0,0 +1,243 @@
+const crypto = require("crypto");
+const { createRequestLogger } = require("./logger");
+const metrics = require("./metrics");
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} True if both are strings and equal
+ */
+function safeCompare(a, b) {
+  if (typeof a !== "string" || typeof b !== "string") {
+    return false;
+  }
+
+  // Hash first so differing lengths don't leak through timingSafeEqual
+  const hashA = crypto.createHash("sha256").update(a).digest();
+  const hashB = crypto.createHash("sha256").update(b).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Create an authenticator for incoming webhook requests
+ *
+ * Supported credentials, checked in this order:
+ * - HMAC-SHA256 signature of `${timestamp}.${rawBody}` in the signature
+ *   header, with the timestamp in the timestamp header
+ * - `Authorization: Bearer <secret>`
+ * - The secret in a custom header (default `X-Webhook-Secret`)
+ * - The secret as the last path segment or `?token=` query parameter
+ * - The secret as `secret` in the JSON body (legacy)
+ *
+ * @param {Object} options - Authentication options
+ * @param {string} options.secret - Shared secret for token methods
+ * @param {string} options.headerName - Custom header carrying the secret
+ * @param {string} options.signatureSecret - Key for HMAC signatures
+ * @param {string} options.signatureHeader - Header carrying the signature
+ * @param {string} options.timestampHeader - Header carrying the timestamp
+ * @param {number} options.toleranceSeconds - Allowed clock skew
+ * @returns {Function} Function taking a request and returning
+ *   { isAuthenticated, method, errors }
+ */
+function createWebhookAuthenticator(options = {}) {
+  const secret = options.secret || null;
+  const signatureSecret = options.signatureSecret || null;
+  const headerName = (options.headerName || "x-webhook-secret").toLowerCase();
+  const signatureHeader = (
+    options.signatureHeader || "x-signature"
+  ).toLowerCase();
+  const timestampHeader = (
+    options.timestampHeader || "x-signature-timestamp"
+  ).toLowerCase();
+  const toleranceMs = (options.toleranceSeconds || 300) * 1000;
+
+  // Signatures already accepted inside the tolerance window
+  const seenSignatures = new Map();
+
+  const verifySignature = (req) => {
+    const signature = String(req.get(signatureHeader) || "").replace(
+      /^sha256=/,
+      ""
+    );
+    const timestamp = req.get(timestampHeader);
+
+    if (!timestamp) {
+      return {
+        isAuthenticated: false,
+        errors: ["Missing signature timestamp"],
+      };
+    }
+
+    const now = Date.now();
+    const timestampMs =
+      Number(timestamp) > 1e12 ? Number(timestamp) : Number(timestamp) * 1000;
+
+    if (
+      !Number.isFinite(timestampMs) ||
+      Math.abs(now - timestampMs) > toleranceMs
+    ) {
+      return {
+        isAuthenticated: false,
+        errors: ["Signature timestamp outside tolerance"],
+      };
+    }
+
+    const rawBody = req.rawBody ? req.rawBody.toString("utf8") : "";
+    const expected = crypto
+      .createHmac("sha256", signatureSecret)
+      .update(`${timestamp}.${rawBody}`)
+      .digest("hex");
+
+    if (!safeCompare(signature.toLowerCase(), expected)) {
+      return { isAuthenticated: false, errors: ["Invalid signature"] };
+    }
+
+    for (const [seen, expiresAt] of seenSignatures) {
+      if (expiresAt <= now) seenSignatures.delete(seen);
+    }
+
+    if (seenSignatures.has(expected)) {
+      return { isAuthenticated: false, errors: ["Signature already used"] };
+    }
+
+    seenSignatures.set(expected, timestampMs + toleranceMs);
+    return { isAuthenticated: true, method: "hmac", errors: [] };
+  };
+
+  return (req) => {
+    if (!secret && !signatureSecret) {
+      return { isAuthenticated: true, method: "none", errors: [] };
+    }
+
+    if (signatureSecret && req.get(signatureHeader)) {
+      return verifySignature(req);
+    }
+
+    if (secret) {
+      const authorization = req.get("authorization") || "";
+      const candidates = [
+        ["bearer", authorization.replace(/^Bearer\s+/i, "")],
+        ["header", req.get(headerName)],
+        ["path", req.params?.token],
+        ["query", req.query?.token],
+        ["body", req.body?.secret],
+      ];
+
+      for (const [method, value] of candidates) {
+        if (value && safeCompare(String(value), secret)) {
+          return { isAuthenticated: true, method, errors: [] };
+        }
+      }
+    }
+
+    return {
+      isAuthenticated: false,
+      errors: [
+        signatureSecret && !secret
+          ? "Missing request signature"
+          : "Missing or invalid webhook credentials",
+      ],
+    };
+  };
+}
+
+/**
+ * Express middleware that rejects requests failing webhook authentication
+ * with 401. Uses the authenticator stored in app.locals.webhookAuth.
+ * Requests posted with a controller's webhook token are already
+ * authenticated.
+ */
+function requireWebhookAuth(req, res, next) {
+  const authenticate = req.app.locals.webhookAuth;
+  if (!authenticate || req.authMethod === "controller-token") {
+    return next();
+  }
+
+  const result = authenticate(req);
+
+  if (!result.isAuthenticated) {
+    metrics.validationFailures.inc({ reason: "auth" });
+    const logger = createRequestLogger(
+      req.app.locals.logger,
+      req.requestId || "auth"
+    );
+    logger.warn("Unauthorized webhook request", {
+      errors: result.errors,
+      ip: req.ip,
+    });
+
+    res.set("WWW-Authenticate", 'Bearer realm="unifi-discord-bridge"');
+    return res.status(401).json({
+      error: "Unauthorized",
+      details: result.errors,
+    });
+  }
+
+  req.authMethod = result.method;
+  next();
+}
+
+// DER header of an Ed25519 SubjectPublicKeyInfo, followed by the 32-byte key
+const ED25519_SPKI_PREFIX = Buffer.from("302a300506032b6570032100", "hex");
+
+/**
+ * Create a verifier for Discord interaction requests
+ *
+ * Discord signs `${timestamp}${rawBody}` with the application's Ed25519 key
+ * and sends the signature and timestamp in the X-Signature-Ed25519 and
+ * X-Signature-Timestamp headers.
+ *
+ * @param {string} publicKey - Application public key (hex) from the Discord
+ *   developer portal
+ * @returns {Function} Function taking a request and returning
+ *   { isAuthenticated, errors }
+ * @throws {Error} If the public key is not a 32-byte hex string
+ */
+function createDiscordVerifier(publicKey) {
+  if (!/^[0-9a-f]{64}$/i.test(publicKey || "")) {
+    throw new Error("Discord public key must be 64 hex characters");
+  }
+
+  const key = crypto.createPublicKey({
+    key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(publicKey, "hex")]),
+    format: "der",
+    type: "spki",
+  });
+
+  return (req) => {
+    const signature = req.get("x-signature-ed25519");
+    const timestamp = req.get("x-signature-timestamp");
+
+    if (!signature || !timestamp) {
+      return { isAuthenticated: false, errors: ["Missing request signature"] };
+    }
+
+    if (!/^[0-9a-f]{128}$/i.test(signature)) {
+      return { isAuthenticated: false, errors: ["Invalid signature"] };
+    }
+
+    const message = Buffer.concat([
+      Buffer.from(timestamp, "utf8"),
+      req.rawBody || Buffer.alloc(0),
+    ]);
+
+    const valid = crypto.verify(
+      null,
+      message,
+      key,
+      Buffer.from(signature, "hex")
+    );
+
+    return valid
+      ? { isAuthenticated: true, errors: [] }
+      : { isAuthenticated: false, errors: ["Invalid signature"] };
+  };
+}
+
+module.exports = {
+  safeCompare,
+  createWebhookAuthenticator,
+  requireWebhookAuth,
+  createDiscordVerifier,
+};
@@ -2,10 +2,11 @@ const winston = require("winston");
 
 /**
  * Configure and create Winston logger instance
- * @param {string} level - Log level (error, warn, info, debug)
+ * @param {string} level - Log level (error, warn, info, debug), defaults to
+ *   LOG_LEVEL
  * @returns {winston.Logger} Configured logger instance
  */
-function createLogger(level = "info") {
+function createLogger(level = process.env.LOG_LEVEL || "info") {
   const logger = winston.createLogger({
     level: level,
     format: winston.format.combine(
@@ -16,6 +17,11 @@ function createLogger(level = "info") {
     defaultMeta: { service: "unifi-discord-bridge" },
     transports: [
       new winston.transports.Console({
+        // The CLI keeps stdout for command output
+        stderrLevels:
+          process.env.LOG_STDERR === "true"
+            ? Object.keys(winston.config.npm.levels)
+            : [],
         format: winston.format.combine(
           winston.format.colorize(),
           winston.format.simple()
@@ -0,0 +1,150 @@
+const client = require("prom-client");
+
+/**
+ * Prometheus metrics for the bridge
+ *
+ * Every metric lives in one registry exposed at GET /metrics.
+ */
+const register = new client.Registry();
+register.setDefaultLabels({ service: "unifi-discord-bridge" });
+client.collectDefaultMetrics({ register });
+
+const webhooksReceived = new client.Counter({
+  name: "unifi_bridge_webhooks_received_total",
+  help: "Valid Unifi Protect webhooks received",
+  labelNames: ["event_type", "camera"],
+  registers: [register],
+});
+
+const validationFailures = new client.Counter({
+  name: "unifi_bridge_webhook_validation_failures_total",
+  help: "Webhook requests rejected by authentication or validation",
+  labelNames: ["reason"],
+  registers: [register],
+});
+
+const discordSendDuration = new client.Histogram({
+  name: "unifi_bridge_discord_send_duration_seconds",
+  help: "Latency of Discord webhook calls",
+  labelNames: ["status_code"],
+  buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 15],
+  registers: [register],
+});
+
+const discordSendFailures = new client.Counter({
+  name: "unifi_bridge_discord_send_failures_total",
+  help: "Failed Discord webhook calls",
+  labelNames: ["status_code"],
+  registers: [register],
+});
+
+const thumbnailFetches = new client.Counter({
+  name: "unifi_bridge_thumbnail_fetches_total",
+  help: "Thumbnail downloads from Protect",
+  labelNames: ["mode", "result"],
+  registers: [register],
+});
+
+const thumbnailSize = new client.Histogram({
+  name: "unifi_bridge_thumbnail_size_bytes",
+  help: "Size of downloaded thumbnails",
+  labelNames: ["mode"],
+  buckets: [10e3, 50e3, 100e3, 250e3, 500e3, 1e6, 2.5e6, 5e6, 10e6],
+  registers: [register],
+});
+
+const clipExports = new client.Counter({
+  name: "unifi_bridge_clip_exports_total",
+  help: "MP4 clip exports from Protect",
+  labelNames: ["result"],
+  registers: [register],
+});
+
+const ingestedEvents = new client.Counter({
+  name: "unifi_bridge_ingested_events_total",
+  help: "Protect detections ingested without an Alarm Manager webhook",
+  labelNames: ["source", "event_type"],
+  registers: [register],
+});
+
+const websocketConnected = new client.Gauge({
+  name: "unifi_bridge_websocket_connected",
+  help: "Whether the Protect updates websocket is connected (1) or not (0)",
+  labelNames: ["controller"],
+  registers: [register],
+});
+
+const notifierSends = new client.Counter({
+  name: "unifi_bridge_notifier_sends_total",
+  help: "Events sent to notification sinks other than the main Discord webhook",
+  labelNames: ["notifier", "result"],
+  registers: [register],
+});
+
+const protectLogins = new client.Counter({
+  name: "unifi_bridge_protect_logins_total",
+  help: "Username/password logins to Protect",
+  labelNames: ["result"],
+  registers: [register],
+});
+
+// Reads the depth from the queue at scrape time
+let queueDepthSource = null;
+
+new client.Gauge({
+  name: "unifi_bridge_queue_depth",
+  help: "Discord deliveries waiting in the retry queue",
+  labelNames: ["state"],
+  registers: [register],
+  collect() {
+    this.reset();
+    if (!queueDepthSource) return;
+
+    const depth = queueDepthSource.depth();
+    this.set({ state: "pending" }, depth.pending);
+    this.set({ state: "dead" }, depth.dead);
+  },
+});
+
+/**
+ * Report the depth of a delivery queue on scrape
+ * @param {DeliveryQueue|null} queue - Queue to read from
+ */
+function trackQueueDepth(queue) {
+  queueDepthSource = queue;
+}
+
+/**
+ * Time a Discord webhook call and record its outcome
+ * @param {Function} send - Async function performing the call
+ * @returns {Promise<Object>} Axios response from send
+ */
+async function observeDiscordSend(send) {
+  const end = discordSendDuration.startTimer();
+
+  try {
+    const response = await send();
+    end({ status_code: response.status });
+    return response;
+  } catch (error) {
+    const statusCode = error.response?.status || error.statusCode || "network";
+    end({ status_code: statusCode });
+    discordSendFailures.inc({ status_code: statusCode });
+    throw error;
+  }
+}
+
+module.exports = {
+  register,
+  webhooksReceived,
+  validationFailures,
+  thumbnailFetches,
+  thumbnailSize,
+  clipExports,
+  notifierSends,
+  ingestedEvents,
+  websocketConnected,
+  protectLogins,
+  trackQueueDepth,
+  observeDiscordSend,
+};
@@ -0,0 +1,170 @@
+const fs = require("fs");
+const path = require("path");
+const https = require("https");
+
+const TLS_MODES = ["verify", "pin", "tofu", "insecure"];
+
+/**
+ * Normalize a SHA-256 certificate fingerprint to Node's `AA:BB:...` form
+ * @param {string} value - Hex fingerprint, with or without colons
+ * @returns {string} Upper-case, colon-separated fingerprint
+ * @throws {Error} If the value is not a SHA-256 hash in hex
+ */
+function normalizeFingerprint(value) {
+  const hex = String(value || "")
+    .replace(/[:\s]/g, "")
+    .toUpperCase();
+
+  if (!/^[0-9A-F]{64}$/.test(hex)) {
+    throw new Error("TLS fingerprint must be a SHA-256 hash in hex");
+  }
+
+  return hex.match(/../g).join(":");
+}
+
+/**
+ * HTTPS agent that accepts a server only if its certificate's fingerprint
+ * passes a check. Chain and host name are not verified, which is what makes
+ * pinning work with the self-signed UniFi OS certificate.
+ */
+class PinnedAgent extends https.Agent {
+  /**
+   * @param {Function} checkFingerprint - Takes the SHA-256 fingerprint and
+   *   returns an Error to reject the connection, or null
+   */
+  constructor(checkFingerprint) {
+    // Resumed sessions don't present the certificate, so always handshake
+    super({ rejectUnauthorized: false, maxCachedSessions: 0 });
+    this.checkFingerprint = checkFingerprint;
+  }
+
+  createConnection(options, callback) {
+    const socket = super.createConnection(options, callback);
+
+    // Requests are only written once this listener has run
+    socket.once("secureConnect", () => {
+      const error = this.checkFingerprint(
+        socket.getPeerCertificate().fingerprint256
+      );
+      if (error) socket.destroy(error);
+    });
+
+    return socket;
+  }
+}
+
+/**
+ * Create the HTTPS agent used for a Protect controller
+ *
+ * Modes:
+ * - verify: the certificate must chain to the system CAs or `ca` and match
+ *   the host name
+ * - pin: the certificate's SHA-256 fingerprint must equal `fingerprint`
+ * - tofu: like pin, with the fingerprint seen on the first connection
+ *   recorded in `fingerprintFile` under the host
+ * - insecure: every certificate is accepted, with a warning
+ *
+ * @param {Object} options - TLS options
+ * @param {string} options.mode - verify, pin, tofu or insecure
+ * @param {string} options.ca - PEM CA bundle for verify
+ * @param {string} options.fingerprint - Pinned fingerprint for pin
+ * @param {string} options.fingerprintFile - JSON file with the fingerprints
+ *   recorded by tofu
+ * @param {string} options.host - Controller host, the key in the file
+ * @param {winston.Logger} options.logger - Logger for trust decisions
+ * @returns {https.Agent} Agent for axios and the websocket
+ * @throws {Error} If the mode is unknown, or pin has no valid fingerprint
+ */
+function createTlsAgent(options = {}) {
+  const mode = options.mode || "verify";
+  const logger = options.logger;
+
+  if (!TLS_MODES.includes(mode)) {
+    throw new Error(
+      `Unknown TLS mode "${mode}", expected one of ${TLS_MODES.join(", ")}`
+    );
+  }
+
+  if (mode === "verify") {
+    return new https.Agent({ ca: options.ca, rejectUnauthorized: true });
+  }
+
+  if (mode === "insecure") {
+    logger?.warn(
+      "TLS verification is disabled, the Protect password can be intercepted",
+      { host: options.host }
+    );
+    return new https.Agent({ rejectUnauthorized: false });
+  }
+
+  if (mode === "pin") {
+    if (!options.fingerprint) {
+      throw new Error("TLS mode pin needs a certificate fingerprint");
+    }
+
+    const pinned = normalizeFingerprint(options.fingerprint);
+    return new PinnedAgent((fingerprint) =>
+      fingerprint === pinned
+        ? null
+        : new Error(
+            `Protect certificate fingerprint ${fingerprint} does not match the pinned ${pinned}`
+          )
+    );
+  }
+
+  const file =
+    options.fingerprintFile || path.join("data", "protect-fingerprints.json");
+  let recorded = readFingerprints(file)[options.host]?.fingerprint || null;
+
+  return new PinnedAgent((fingerprint) => {
+    if (!recorded) {
+      try {
+        recordFingerprint(file, options.host, fingerprint);
+      } catch (error) {
+        return new Error(
+          `Failed to record the Protect certificate fingerprint: ${error.message}`
+        );
+      }
+
+      recorded = fingerprint;
+      logger?.warn("Trusting Protect certificate on first use", {
+        host: options.host,
+        fingerprint,
+        file,
+      });
+      return null;
+    }
+
+    return fingerprint === recorded
+      ? null
+      : new Error(
+          `Protect certificate fingerprint ${fingerprint} differs from ${recorded} recorded on first use; remove ${options.host} from ${file} if the certificate was replaced`
+        );
+  });
+}
+
+function readFingerprints(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return {};
+    throw new Error(`Failed to read ${file}: ${error.message}`);
+  }
+}
+
+function recordFingerprint(file, host, fingerprint) {
+  const fingerprints = {
+    ...readFingerprints(file),
+    [host]: { fingerprint, recordedAt: new Date().toISOString() },
+  };
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(fingerprints, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+module.exports = {
+  TLS_MODES,
+  normalizeFingerprint,
+  createTlsAgent,
+};
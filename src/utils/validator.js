@@ -1,10 +1,12 @@
 /**
  * Validate incoming webhook request
+ *
+ * Credentials are checked separately by the webhook authenticator in
+ * utils/auth.js.
  * @param {Object} body - Request body
- * @param {string} secret - Optional webhook secret for validation
  * @returns {Object} Validation result with isValid and errors
  */
-function validateWebhookRequest(body, secret = null) {
+function validateWebhookRequest(body) {
   const errors = [];
 
   // Check if body exists and is an object
@@ -37,11 +39,6 @@ function validateWebhookRequest(body, secret = null) {
     errors.push("Missing required field: timestamp");
   }
 
-  // Optional webhook secret validation
-  if (secret && body.secret !== secret) {
-    errors.push("Invalid webhook secret");
-  }
-
   return {
     isValid: errors.length === 0,
     errors,